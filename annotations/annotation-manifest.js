@@ -1,60 +1,583 @@
+/**
+ * @fileoverview Annotation data model shared by the extractors, the server and the browser.
+ *
+ * An annotation is stored as
+ *
+ *   { id, category, startTimeMs, durationMs, data, style?, provenance?, stream?, coordinateSpace? }
+ *
+ * and the archived `{ id, category, timeRange: { startMs, endMs }, data }` shape
+ * is still accepted on input; `annotation.timeRange` is derived for renderers.
+ *
+ * Ids are stable: an annotation without one gets an id derived from its
+ * content, so converting the same metadata twice yields the same ids, and
+ * toJSON()/fromJSON() round-trips keep them.
+ *
+ * One manifest can carry the annotations of every camera of an alert. An
+ * annotation names its camera with `stream`, or inherits it from its
+ * category through `metadata.categoryStreams` (e.g. `{ dsf: 'outward' }`);
+ * annotations with neither are shown on every stream. forStream() picks
+ * what one camera's VideoAnnotator draws.
+ *
+ * Geometry in `data` is normalized to the frame unless `coordinateSpace`
+ * says it is in pixels of a reference resolution (see coordinate-space.js).
+ *
+ * Keyframed annotations with a `data.trackId` are tracks; getTracks(),
+ * getTracksInRange() and withoutShortTracks() work on them (see track.js).
+ *
+ * query() narrows a manifest with a filter expression such as
+ * `data.confidence > 0.6` (see manifest-filter.js).
+ */
+
+import { validateManifest } from './manifest-schema.js';
+import { IntervalIndex } from './interval-index.js';
+import { alignToVideoTime, DEFAULT_STREAM } from './time-base.js';
+import { isTrackAnnotation, MIN_TRACK_LENGTH, Track } from './track.js';
+import { compileFilter } from './manifest-filter.js';
+
+/**
+ * FNV-1a hash of a string as 8 hex digits.
+ * @param {string} text
+ * @returns {string}
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Content-derived id, e.g. "dsf-1a2b3c4d".
+ * @returns {string}
+ */
+function createAnnotationId(category, startTimeMs, durationMs, data, stream, coordinateSpace) {
+  // Ids of annotations without a stream or space stay what they were before those existed
+  const content = [startTimeMs, durationMs, data];
+  if (stream) content.push(stream);
+  if (coordinateSpace) content.push(coordinateSpace);
+  return `${category}-${hashString(JSON.stringify(content))}`;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Provenance for annotations that do not carry their own, from the
+ * metadata of the manifest they came in (source, version, author).
+ * @param {object} metadata - Manifest metadata
+ * @returns {object}
+ */
+function provenanceFromMetadata(metadata) {
+  const provenance = { source: 'unknown' };
+  for (const key of ['source', 'version', 'author']) {
+    if (typeof metadata?.[key] === 'string' && metadata[key] !== '') {
+      provenance[key] = metadata[key];
+    }
+  }
+  return provenance;
+}
+
+/**
+ * Id collision policies for AnnotationManifest.merge(); each returns the
+ * annotation to keep, null for neither. "rename" is handled by the manifest.
+ */
+const CONFLICT_POLICIES = {
+  'keep-first': existing => existing,
+  'keep-last': (existing, incoming) => incoming,
+  error: (existing) => {
+    throw new Error(`Annotation id '${existing.id}' is used by more than one manifest`);
+  },
+};
 
 export class Annotation {
+  /**
+   * @example
+   * new Annotation('detection', 1000, 4000, { confidence: 0.9 });
+   * new Annotation('text', 0, 2000, { text: 'Hi' }, { id: 'greeting', style: { color: '#fff' } });
+   * new Annotation({ id: 'greeting', category: 'text', timeRange: { startMs: 0, endMs: 2000 }, data: { text: 'Hi' } });
+   *
+   * @param {string|object} category - Category, or a serialized annotation in either shape
+   * @param {number} [startTimeMs] - Start of visibility in video time
+   * @param {number} [durationMs] - Length of visibility
+   * @param {object} [data={}] - Category specific payload
+   * @param {object} [options={}]
+   * @param {string} [options.id] - Stable id (default: derived from the content)
+   * @param {object} [options.style] - Rendering overrides (colors, fonts, ...)
+   * @param {object} [options.provenance] - Where the annotation came from, e.g.
+   *   `{ source: 'metadata-converter', extractor: 'dsf', version: '0.9.0' }` or
+   *   `{ source: 'manual', author: 'reviewer-a' }`
+   * @param {string} [options.stream] - Stream (camera) the annotation belongs to, e.g. 'outward'
+   * @param {string|object} [options.coordinateSpace] - Space of the geometry in `data`:
+   *   'normalized' (default) or `{ units: 'pixels', width, height }`
+   */
   constructor(category,
               startTimeMs,
               durationMs,
-              data = {}
+              data = {},
+              { id, style, provenance, stream, coordinateSpace } = {}
               ) {
 
+    if (isPlainObject(category)) {
+      return Annotation.fromJSON(category);
+    }
+
     this.category = category || null;
-    this.startTimeMs = startTimeMs ;
+    this.startTimeMs = startTimeMs;
     this.durationMs = durationMs;
     this.data = data || {};
+    this.style = style || null;
+    this.provenance = provenance || null;
+    this.stream = stream || null;
+    this.coordinateSpace = coordinateSpace || null;
 
     if (!this.category) {
       throw new Error("Annotation must have a category");
     }
+
+    this.id = id ?? createAnnotationId(this.category, this.startTimeMs, this.durationMs, this.data,
+      this.stream, this.coordinateSpace);
+  }
+
+  /**
+   * Visibility window in the archived renderer shape.
+   * @returns {{startMs: number, endMs: number}}
+   */
+  get timeRange() {
+    return { startMs: this.startTimeMs, endMs: this.startTimeMs + this.durationMs };
+  }
+
+  /**
+   * Whether the annotation is visible at a video time.
+   * @param {number} timeMs
+   * @returns {boolean}
+   */
+  isActiveAt(timeMs) {
+    return timeMs >= this.startTimeMs && timeMs <= this.startTimeMs + this.durationMs;
   }
 
   toJSON() {
-    return {
+    const json = {
+      id: this.id,
       category: this.category,
       startTimeMs: this.startTimeMs,
       durationMs: this.durationMs,
       data: this.data,
     };
+    if (this.style) {
+      json.style = this.style;
+    }
+    if (this.provenance) {
+      json.provenance = this.provenance;
+    }
+    if (this.stream) {
+      json.stream = this.stream;
+    }
+    if (this.coordinateSpace) {
+      json.coordinateSpace = this.coordinateSpace;
+    }
+    return json;
   }
-    };
+
+  /**
+   * Rebuild an annotation from its toJSON() output, or from the archived
+   * `timeRange: {startMs, endMs}` shape
+   * @param {object} json - Serialized annotation
+   * @returns {Annotation}
+   */
+  static fromJSON(json) {
+    let { startTimeMs, durationMs } = json;
+    if (startTimeMs === undefined && json.timeRange) {
+      startTimeMs = json.timeRange.startMs;
+      durationMs = json.timeRange.endMs - json.timeRange.startMs;
+    }
+
+    return new Annotation(json.category, startTimeMs, durationMs, json.data, {
+      id: json.id,
+      style: json.style,
+      provenance: json.provenance,
+      stream: json.stream,
+      coordinateSpace: json.coordinateSpace,
+    });
+  }
+}
 
 // =========== AnnotationManifest class ===========
 
 export class AnnotationManifest {
   /**
- * Creates annotation manifest with items and metadata
-  * @param {string} [version="1.0"] - Schema version
-  * @param {object} [metadata={}] - Document metadata
-  * @param {Object<string, Annotation[]>} [items={}] - Annotations map by category
+   * Creates annotation manifest with items and metadata.
+   *
+   * Ids are unique within a manifest: an annotation whose id is already
+   * taken is renamed with a "-2", "-3", ... suffix. Change `items` through
+   * addItem()/removeItem()/clear() so the id and time indexes stay in sync.
+   *
+   * @param {string} [version="1.0"] - Schema version
+   * @param {object} [metadata={}] - Document metadata
+   * @param {Object<string, Annotation[]>} [items={}] - Annotations map by category
    */
   constructor(version="1.0", metadata = {}, items = {}) {
     this.version = version;
-    this.metadata = metadata; 
-    this.items = items;
+    this.metadata = metadata;
+    this.items = {};
+    this._byId = new Map();
+    // Per-category IntervalIndex, built on the first time query after a change
+    this._indexes = new Map();
+
+    for (const [category, annotations] of Object.entries(items)) {
+      this.items[category] = [];
+      for (const annotation of annotations) {
+        this._insert(category, annotation);
+      }
+    }
+  }
+
+  /**
+   * Empty manifest, e.g. for annotations drawn by hand.
+   * @param {object} [metadata={}]
+   * @returns {AnnotationManifest}
+   */
+  static create(metadata = {}) {
+    return new AnnotationManifest("1.0", { created: new Date().toISOString(), ...metadata }, {});
+  }
 
+  /**
+   * Combine manifests, e.g. extractor output, reviewer annotations and a
+   * second model's output for one alert. The inputs are not modified.
+   *
+   * Every annotation ends up with a `provenance`; one that has none inherits
+   * the source, version and author from its manifest's metadata. Category
+   * streams (`metadata.categoryStreams`) are copied onto the annotations, so
+   * per-camera manifests merge into one manifest for every camera. Epoch
+   * time base inputs are moved onto video time first (see toVideoTime), so
+   * the result is always on video time and keeps the inputs' stream timing.
+   *
+   * @example
+   * const combined = AnnotationManifest.merge(generated, manual, { onConflict: 'keep-last' });
+   * const reviewed = combined.filter(annotation => annotation.provenance.source === 'manual');
+   *
+   * @param {...(AnnotationManifest|object)} manifests - Manifests or their toJSON() output,
+   *   optionally followed by an options object
+   * @param {object} [options]
+   * @param {string|Function} [options.onConflict="rename"] - When an id is already taken:
+   *   "rename" keeps both (the later one gets a "-2" suffix), "keep-first", "keep-last",
+   *   "error" throws, or a function (existing, incoming) returning the annotation to keep
+   *   (or null to drop both)
+   * @returns {AnnotationManifest}
+   */
+  static merge(...manifests) {
+    const isManifest = value => value instanceof AnnotationManifest || (isPlainObject(value) && 'items' in value);
+    const { onConflict = 'rename' } = manifests.length > 0 && !isManifest(manifests[manifests.length - 1])
+      ? manifests.pop()
+      : {};
+
+    const resolve = typeof onConflict === 'function' ? onConflict : CONFLICT_POLICIES[onConflict];
+    if (!resolve && onConflict !== 'rename') {
+      throw new Error(`Unknown onConflict policy '${onConflict}'`);
+    }
+
+    const merged = AnnotationManifest.create({ source: 'merge', sources: [], timeBase: 'video' });
+    for (const input of manifests) {
+      const manifest = (input instanceof AnnotationManifest ? input : AnnotationManifest.fromJSON(input)).toVideoTime();
+      const inherited = provenanceFromMetadata(manifest.metadata);
+      merged.metadata.sources.push({ ...inherited });
+      for (const [name, timing] of Object.entries(manifest.metadata.streams || {})) {
+        merged.metadata.streams ??= {};
+        merged.metadata.streams[name] ??= { ...timing };
+      }
+
+      for (const annotations of Object.values(manifest.items)) {
+        for (const annotation of annotations) {
+          const incoming = Annotation.fromJSON(annotation.toJSON());
+          // A copy each, so editing one annotation's provenance leaves the others alone
+          incoming.provenance = incoming.provenance || { ...inherited };
+          incoming.stream = manifest.getStream(incoming);
+
+          const existing = merged.getItem(incoming.id);
+          if (!existing || !resolve) {
+            merged.addItem(incoming);
+            continue;
+          }
+
+          const kept = resolve(existing, incoming);
+          if (kept !== existing) {
+            merged.removeItem(existing.id);
+            if (kept) merged.addItem(kept);
+          }
+        }
+      }
+    }
+    return merged;
   }
 
+  /**
+   * Total number of annotations.
+   * @returns {number}
+   */
+  get count() {
+    return this._byId.size;
+  }
 
   getCategories() {
     return Object.keys(this.items);
   }
 
+  /**
+   * @returns {Object<string, number>} Annotation count per category
+   */
+  getCountsByCategory() {
+    const counts = {};
+    for (const [category, annotations] of Object.entries(this.items)) {
+      counts[category] = annotations.length;
+    }
+    return counts;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Annotation|null}
+   */
+  getItem(id) {
+    return this._byId.get(id) || null;
+  }
+
+  /**
+   * Distinct provenance sources, in order of appearance.
+   * @returns {string[]} e.g. ["metadata-converter", "manual"]
+   */
+  getSources() {
+    const sources = new Set();
+    for (const annotation of this._byId.values()) {
+      if (annotation.provenance) sources.add(annotation.provenance.source);
+    }
+    return [...sources];
+  }
+
+  /**
+   * Stream (camera) an annotation is drawn on: its own `stream`, else its
+   * category's entry in `metadata.categoryStreams`.
+   * @param {Annotation} annotation
+   * @returns {string|null} null when it belongs on every stream
+   */
+  getStream(annotation) {
+    return annotation.stream ?? this.metadata.categoryStreams?.[annotation.category] ?? null;
+  }
+
+  /**
+   * Distinct streams the annotations are assigned to, in order of appearance.
+   * @returns {string[]} e.g. ["outward", "inward"]
+   */
+  getStreams() {
+    const streams = new Set();
+    for (const annotation of this._byId.values()) {
+      const stream = this.getStream(annotation);
+      if (stream) streams.add(stream);
+    }
+    return [...streams];
+  }
+
+  /**
+   * The annotations one stream shows: those assigned to it and those
+   * assigned to no stream.
+   * @param {string} stream - Stream (camera) name, e.g. 'inward'
+   * @returns {AnnotationManifest}
+   */
+  forStream(stream) {
+    return this.filter(annotation => {
+      const assigned = this.getStream(annotation);
+      return assigned === null || assigned === stream;
+    });
+  }
+
+  /**
+   * New manifest with the annotations that pass `predicate`; the
+   * annotations are shared with this manifest, categories are kept.
+   * @param {function(Annotation, AnnotationManifest): boolean} predicate - Called with each annotation and this manifest
+   * @returns {AnnotationManifest}
+   */
+  filter(predicate) {
+    const items = {};
+    for (const [category, annotations] of Object.entries(this.items)) {
+      items[category] = annotations.filter(annotation => predicate(annotation, this));
+    }
+    return new AnnotationManifest(this.version, this.metadata, items);
+  }
+
+  /**
+   * New manifest with the annotations matching a filter expression,
+   * e.g. `manifest.query('category == "keyframed" and track.minDistance <= 30')`
+   * (see manifest-filter.js for the language).
+   * @param {string} expression
+   * @returns {AnnotationManifest}
+   * @throws {FilterSyntaxError} When the expression does not parse
+   */
+  query(expression) {
+    return this.filter(compileFilter(expression));
+  }
+
+  /**
+   * Add an annotation under its category.
+   * @param {Annotation|object} annotation - Annotation or serialized annotation
+   * @returns {Annotation} The stored annotation (its id may have been suffixed)
+   */
+  addItem(annotation) {
+    const item = annotation instanceof Annotation ? annotation : Annotation.fromJSON(annotation);
+    if (!this.items[item.category]) {
+      this.items[item.category] = [];
+    }
+    return this._insert(item.category, item);
+  }
+
+  /**
+   * Remove an annotation by id.
+   * @param {string} id
+   * @returns {boolean} True if an annotation was removed
+   */
+  removeItem(id) {
+    const annotation = this._byId.get(id);
+    if (!annotation) return false;
+
+    const annotations = Object.values(this.items).find(list => list.includes(annotation));
+    annotations.splice(annotations.indexOf(annotation), 1);
+    this._byId.delete(id);
+    this._indexes.clear();
+    return true;
+  }
+
+  /**
+   * Remove every annotation; the categories stay listed with no items.
+   */
+  clear() {
+    for (const category of Object.keys(this.items)) {
+      this.items[category] = [];
+    }
+    this._byId.clear();
+    this._indexes.clear();
+  }
+
+  /**
+   * Annotations visible at a video time.
+   * @param {number} timeMs
+   * @param {string[]} [categories] - Limit to these categories (default: all)
+   * @returns {Annotation[]} Grouped by category, by start time within a category
+   */
+  getActiveAt(timeMs, categories) {
+    return this.getInRange(timeMs, timeMs, categories);
+  }
+
+  /**
+   * Annotations overlapping a time window (both ends inclusive).
+   * @param {number} startMs
+   * @param {number} endMs
+   * @param {string[]} [categories] - Limit to these categories (default: all)
+   * @returns {Annotation[]} Grouped by category, by start time within a category
+   */
+  getInRange(startMs, endMs, categories = this.getCategories()) {
+    const result = [];
+    for (const category of categories) {
+      const index = this._getIndex(category);
+      if (index) {
+        result.push(...index.getInRange(startMs, endMs));
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Tracked objects, in manifest order (see track.js).
+   * @returns {Track[]}
+   */
+  getTracks() {
+    return (this.items.keyframed || [])
+      .filter(isTrackAnnotation)
+      .map(annotation => new Track(annotation, this.getStream(annotation)));
+  }
+
+  /**
+   * @param {string} id - Track (annotation) id, e.g. "track-227"
+   * @returns {Track|null}
+   */
+  getTrack(id) {
+    const annotation = this._byId.get(id);
+    return annotation && isTrackAnnotation(annotation) ? new Track(annotation, this.getStream(annotation)) : null;
+  }
+
+  /**
+   * Tracks whose object was seen during a time window (both ends inclusive).
+   * @param {number} startMs
+   * @param {number} endMs
+   * @returns {Track[]} By first seen time
+   */
+  getTracksInRange(startMs, endMs) {
+    return this.getInRange(startMs, endMs, ['keyframed'])
+      .filter(isTrackAnnotation)
+      .map(annotation => new Track(annotation, this.getStream(annotation)))
+      .filter(track => track.isActiveIn(startMs, endMs));
+  }
+
+  /**
+   * New manifest without the tracks seen in fewer than `minLength` frames;
+   * everything else is kept.
+   * @param {number} [minLength=MIN_TRACK_LENGTH]
+   * @returns {AnnotationManifest}
+   */
+  withoutShortTracks(minLength = MIN_TRACK_LENGTH) {
+    return this.filter(annotation => !isTrackAnnotation(annotation) || annotation.data.keyframes.length >= minLength);
+  }
+
+  /**
+   * Copy of an epoch time base manifest moved onto video time (see
+   * time-base.js). Each annotation is moved by the `metadata.streams` timing
+   * of its own stream; annotations without one use `stream`. Manifests
+   * already on video time are returned as they are.
+   * @param {string} [stream] - Stream (camera) the manifest is shown on
+   * @returns {AnnotationManifest}
+   */
+  toVideoTime(stream) {
+    if (this.metadata.timeBase !== 'epoch') return this;
+
+    const copy = AnnotationManifest.fromJSON(this.toJSON());
+    const declared = this.metadata.streams || {};
+    const fallback = stream ?? Object.keys(declared)[0] ?? DEFAULT_STREAM;
+    const byStream = new Map();
+    for (const annotation of copy._byId.values()) {
+      const name = copy.getStream(annotation) ?? fallback;
+      if (!byStream.has(name)) byStream.set(name, []);
+      byStream.get(name).push(annotation);
+    }
+    const { streams } = alignToVideoTime(
+      [...byStream].map(([name, annotations]) => ({ annotations, timeBase: 'epoch', stream: name })),
+      declared,
+    );
+    copy.metadata = { ...this.metadata, timeBase: 'video', streams };
+    copy._indexes.clear();
+    return copy;
+  }
+
+  /**
+   * Check the manifest against MANIFEST_SCHEMA (see manifest-schema.js).
+   * @returns {{path: string, annotationId: string|null, message: string}[]}
+   */
+  getValidationErrors() {
+    return validateManifest(this.toJSON());
+  }
+
+  /**
+   * @returns {boolean} Whether the manifest is usable by the renderers
+   */
+  validate() {
+    return this.getValidationErrors().length === 0;
+  }
 
   toJSON() {
     const itemsJson = {};
-    
+
     for (const [category, annotations] of Object.entries(this.items)) {
       itemsJson[category] = annotations.map(item => item.toJSON());
     }
-    
+
     return {
       version: this.version,
       metadata: this.metadata,
@@ -62,4 +585,47 @@ export class AnnotationManifest {
     };
   }
 
-}
\ No newline at end of file
+  /**
+   * Rebuild a manifest from its toJSON() output (e.g. the /annotations/:id response)
+   * @param {object} json - Serialized manifest
+   * @returns {AnnotationManifest}
+   */
+  static fromJSON(json) {
+    const items = {};
+
+    for (const [category, annotations] of Object.entries(json.items || {})) {
+      items[category] = annotations.map(item => Annotation.fromJSON(item));
+    }
+
+    return new AnnotationManifest(json.version, json.metadata || {}, items);
+  }
+
+  /**
+   * File an annotation, renaming it when its id is taken.
+   * @private
+   */
+  _insert(category, annotation) {
+    if (this._byId.has(annotation.id)) {
+      let suffix = 2;
+      while (this._byId.has(`${annotation.id}-${suffix}`)) suffix++;
+      annotation.id = `${annotation.id}-${suffix}`;
+    }
+    this._byId.set(annotation.id, annotation);
+    this.items[category].push(annotation);
+    this._indexes.clear();
+    return annotation;
+  }
+
+  /**
+   * IntervalIndex of a category, null when the category is not present.
+   * @private
+   */
+  _getIndex(category) {
+    if (!this.items[category]) return null;
+    if (!this._indexes.has(category)) {
+      this._indexes.set(category, new IntervalIndex(this.items[category]));
+    }
+    return this._indexes.get(category);
+  }
+
+}
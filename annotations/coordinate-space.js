@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Coordinate spaces of annotation geometry.
+ *
+ * Geometry (boxes, points, lines) is either normalized to the frame (0-1 on
+ * both axes, the default) or in pixels of a reference resolution, declared
+ * on the annotation:
+ *
+ *   { category: 'detection', coordinateSpace: { units: 'pixels', width: 1920, height: 1080 },
+ *     data: { bbox: { x: 640, y: 300, width: 200, height: 120 } } }
+ *
+ * Renderers normalize with the declared space and then scale to the rect
+ * the video is displayed in, so metadata and video resolutions may differ.
+ */
+
+export const NORMALIZED = 'normalized';
+
+/**
+ * Pixel space of a reference resolution.
+ * @param {number} width
+ * @param {number} height
+ * @returns {{units: 'pixels', width: number, height: number}}
+ */
+export function pixelSpace(width, height) {
+  return { units: 'pixels', width, height };
+}
+
+/**
+ * Factors that turn coordinates of a space into normalized ones.
+ * @param {string|object|null} [space] - NORMALIZED (or null) or a pixelSpace()
+ * @returns {{x: number, y: number}}
+ */
+export function getNormalizingScale(space) {
+  if (!space || space === NORMALIZED) return { x: 1, y: 1 };
+  if (space.units === 'pixels' && space.width > 0 && space.height > 0) {
+    return { x: 1 / space.width, y: 1 / space.height };
+  }
+  throw new Error(`Unknown coordinate space ${JSON.stringify(space)}`);
+}
+
+/**
+ * @param {{x: number, y: number}} point
+ * @param {string|object|null} [space]
+ * @returns {{x: number, y: number}} Normalized point (other fields kept)
+ */
+export function toNormalizedPoint(point, space) {
+  const scale = getNormalizingScale(space);
+  return { ...point, x: point.x * scale.x, y: point.y * scale.y };
+}
+
+/**
+ * @param {{x: number, y: number, width: number, height: number}} box
+ * @param {string|object|null} [space]
+ * @returns {{x: number, y: number, width: number, height: number}} Normalized box
+ */
+export function toNormalizedBox(box, space) {
+  const scale = getNormalizingScale(space);
+  return {
+    x: (box.x || 0) * scale.x,
+    y: (box.y || 0) * scale.y,
+    width: box.width * scale.x,
+    height: box.height * scale.y,
+  };
+}
+
+/**
+ * Rect a video's frame is shown in inside its element (`object-fit:
+ * contain`, the default for <video>): the frame keeps its aspect ratio and
+ * is centered, leaving bars on two sides.
+ * @param {number} elementWidth
+ * @param {number} elementHeight
+ * @param {number} [videoWidth] - Intrinsic width (0 or missing: fill the element)
+ * @param {number} [videoHeight] - Intrinsic height
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function fitVideoRect(elementWidth, elementHeight, videoWidth, videoHeight) {
+  if (!(videoWidth > 0 && videoHeight > 0 && elementWidth > 0 && elementHeight > 0)) {
+    return { x: 0, y: 0, width: elementWidth, height: elementHeight };
+  }
+  // The frame fills the element along one axis exactly
+  const wider = elementWidth * videoHeight > elementHeight * videoWidth;
+  const width = wider ? elementHeight * videoWidth / videoHeight : elementWidth;
+  const height = wider ? elementHeight : elementWidth * videoHeight / videoWidth;
+  return { x: (elementWidth - width) / 2, y: (elementHeight - height) / 2, width, height };
+}
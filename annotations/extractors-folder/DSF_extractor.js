@@ -0,0 +1,78 @@
+
+
+import { Annotation } from "../annotation-manifest.js";
+import { pixelSpace } from "../coordinate-space.js";
+
+const CANONICAL_OUTWARD_IMAGE_WIDTH = 1920;
+const CANONICAL_OUTWARD_IMAGE_HEIGHT = 1080;
+
+function _getLaneCalMessage(metadata) {
+
+    const CANONICAL_INWARD_IMAGE_WIDTH = 1280;
+    const CANONICAL_INWARD_IMAGE_HEIGHT = 720;
+    const CANONICAL_DMS_IMAGE_WIDTH = 1296;
+    const CANONICAL_DMS_IMAGE_HEIGHT = 1296;
+  // Extract lane calibration parameters
+  const inferenceData = metadata?.inference_data || {};
+  const observationsData = inferenceData?.observations_data || {};
+  const laneCalParams = observationsData?.laneCalibrationParams;
+
+  if (!laneCalParams) return null;
+
+  let [vanishingPointEstimate, _, xInt, imageHeight] = laneCalParams;
+
+  // Convert to 1920x1080 resolution scale
+  const scale = CANONICAL_OUTWARD_IMAGE_HEIGHT / imageHeight;
+
+  vanishingPointEstimate = vanishingPointEstimate.map(x => x * scale);
+  xInt = xInt.map(x => x * scale);
+  imageHeight = CANONICAL_OUTWARD_IMAGE_HEIGHT;
+
+  // Create triangle: bottom corners to vanishing point
+  // Triangle vertices: 
+  // 1. Bottom left (xInt[0], imageHeight)
+  // 2. Bottom right (xInt[1], imageHeight) 
+  // 3. Vanishing point (vanishingPointEstimate[0], vanishingPointEstimate[1])
+
+  // Return pixel coordinates at the canonical resolution; the annotation
+  // declares it, so renderers scale to whatever the video is shown at
+  const laneCalMessage = [
+    // Left edge: bottom-left to vanishing point
+    [[xInt[0], imageHeight], [vanishingPointEstimate[0], vanishingPointEstimate[1]]],
+    // Right edge: bottom-right to vanishing point
+    [[xInt[1], imageHeight], [vanishingPointEstimate[0], vanishingPointEstimate[1]]]
+  ];
+
+  return laneCalMessage;
+}
+
+//  the annotations structure as follows
+// {
+//   category: 'dsf',
+//   startTimeMs: 0,
+//   durationMs: 999999999,
+//   coordinateSpace: { units: 'pixels', width: 1920, height: 1080 },
+//   data: {
+//     vanishing_triangle: _getLaneCalMessage()
+//   }
+// }
+
+function dsf_extractor(video_metadata) {
+  const annotations = [];
+  
+  // Create lane calibration annotation using Annotation class
+  const laneCalMessage = _getLaneCalMessage(video_metadata);
+  if (laneCalMessage) {
+    const laneAnnotation = new Annotation('dsf', 0, 999999999, {
+      "vanishing_triangle": laneCalMessage
+    }, {
+      coordinateSpace: pixelSpace(CANONICAL_OUTWARD_IMAGE_WIDTH, CANONICAL_OUTWARD_IMAGE_HEIGHT)
+    });
+    
+    annotations.push(laneAnnotation);
+  }
+
+  return annotations;
+}
+
+export { dsf_extractor };
\ No newline at end of file
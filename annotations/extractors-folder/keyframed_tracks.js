@@ -0,0 +1,82 @@
+import { Annotation } from "../annotation-manifest.js";
+import { extractOutwardDetections, OUTWARD_SPACE } from "./outward_bb.js";
+
+// Frame period assumed when there are too few frames to measure it
+const DEFAULT_FRAME_INTERVAL_MS = 200;
+
+//  One annotation per tracked object instead of one per object per frame:
+// {
+//   id: 'track-227',
+//   category: 'keyframed',
+//   startTimeMs: 1752673813347,      // epoch ms, moved onto video time by the converter
+//   durationMs: 1400,                // last keyframe + one frame
+//   coordinateSpace: { units: 'pixels', width: 1920, height: 1080 },
+//   data: {
+//     interpolation: 'linear',
+//     trackId: 227,
+//     classId: 1,
+//     keyframes: [{ offsetMs: 0, bbox: { x, y, width, height }, confidence: 0.79, distance: 24.5 }, ...]
+//   }
+// }
+
+function medianFrameInterval(frames) {
+  const gaps = [];
+  for (let i = 1; i < frames.length; i++) {
+    const gap = frames[i].frame_timestamp - frames[i - 1].frame_timestamp;
+    if (gap > 0) gaps.push(gap);
+  }
+  if (gaps.length === 0) return DEFAULT_FRAME_INTERVAL_MS;
+  gaps.sort((a, b) => a - b);
+  return gaps[Math.floor(gaps.length / 2)];
+}
+
+function trackAnnotation(trackId, classId, samples, frameIntervalMs) {
+  const startTimeMs = samples[0].timeMs;
+  const keyframes = samples.map(({ timeMs, ...state }) => ({ offsetMs: timeMs - startTimeMs, ...state }));
+  const durationMs = keyframes[keyframes.length - 1].offsetMs + frameIntervalMs;
+
+  const data = { interpolation: 'linear', classId, keyframes };
+  if (trackId !== null) data.trackId = trackId;
+
+  return new Annotation('keyframed', startTimeMs, durationMs, data, {
+    id: trackId !== null ? `track-${trackId}` : undefined,
+    coordinateSpace: OUTWARD_SPACE,
+  });
+}
+
+function keyframed_tracks_extractor(video_metadata) {
+  const frames = extractOutwardDetections(video_metadata)
+    .sort((a, b) => a.frame_timestamp - b.frame_timestamp);
+  const frameIntervalMs = medianFrameInterval(frames);
+
+  const annotations = [];
+  const tracks = new Map();
+  for (const { frame_timestamp, objects } of frames) {
+    for (const object of objects) {
+      const sample = {
+        timeMs: frame_timestamp,
+        bbox: object.bbox,
+        confidence: object.detection_confidence,
+      };
+      if (Number.isFinite(object.distance)) sample.distance = object.distance;
+
+      // Untracked objects stay single-frame annotations
+      if (object.track_id === -1) {
+        annotations.push(trackAnnotation(null, object.object_class, [sample], frameIntervalMs));
+        continue;
+      }
+
+      if (!tracks.has(object.track_id)) {
+        tracks.set(object.track_id, { classId: object.object_class, samples: [] });
+      }
+      tracks.get(object.track_id).samples.push(sample);
+    }
+  }
+
+  for (const [trackId, { classId, samples }] of tracks) {
+    annotations.push(trackAnnotation(trackId, classId, samples, frameIntervalMs));
+  }
+  return annotations;
+}
+
+export { keyframed_tracks_extractor };
@@ -0,0 +1,98 @@
+/**
+ * @fileoverview collection of extractor functions for processing video session metadata
+ * @module Extractors
+ * 
+ * 
+ * write about public api of the extractor functions
+ * params : video_metadata, options
+ * return : list of annotations
+ *
+ * An extractor function can also carry
+ *   stream   : camera its annotations belong to, e.g. 'outward'
+ *   timeBase : 'epoch' when it emits epoch milliseconds (default: video time)
+ * @example Usage:
+ * const annotations = Extractors.hello(metadata, options);
+ */
+
+import { Annotation } from './annotation-manifest.js';
+import { dsf_extractor } from './extractors-folder/DSF_extractor.js';
+import { keyframed_tracks_extractor } from './extractors-folder/keyframed_tracks.js';
+
+
+//  * const detection = new Annotation('detection', 1000, 4000, {
+//  *   bbox: { x: 0.1, y: 0.1, width: 0.2, height: 0.3 }, confidence: 0.95, class: 'vehicle'
+//  * });
+//  * 
+
+const Extractors = {
+  hello(video_metadata, options) {
+    return [
+      new Annotation('hello', 0, 999999999, { message: 'Hello, world!' })
+    ];
+  },
+
+  // Detection extractor - processes detection data from metadata
+  detection(video_metadata, options) {
+    const annotations = [];
+    
+    // Placeholder logic - this would be replaced with actual metadata parsing
+    if (video_metadata && video_metadata.detections) {
+      video_metadata.detections.forEach((detection) => {
+        annotations.push(new Annotation('detection', detection.timestamp || 0, 5000, {
+          bbox: detection.bbox || { x: 0.1, y: 0.1, width: 0.2, height: 0.3 },
+          confidence: detection.confidence || 0.95,
+          class: detection.class || 'vehicle'
+        }));
+      });
+    }
+    
+    return annotations;
+  },
+
+  // Cross extractor for debugging - creates debug crosses
+  cross(video_metadata, options) {
+    return [
+      new Annotation('cross', 0, 30000, {
+        debugText: 'Debug Cross from Metadata',
+        includeCenterLines: true
+      })
+    ];
+  },
+
+  // Text extractor - creates text overlays from metadata
+  text(video_metadata, options) {
+    const annotations = [];
+    
+    // Example: create text annotation from metadata
+    if (video_metadata) {
+      annotations.push(new Annotation('text', 1000, 4000, {
+        text: `Alert ID: ${video_metadata.alertId || 'Unknown'}`,
+        position: { x: 0.02, y: 0.02 },
+        anchor: 'top-left'
+      }));
+    }
+    
+    return annotations;
+  },
+
+  // DSF extractor - processes DSF lane calibration data from metadata
+  dsf(video_metadata, options) {
+    return dsf_extractor(video_metadata);
+  },
+
+  // Keyframed tracks - one interpolated box per carBoxTrackerList track
+  keyframed(video_metadata, options) {
+    return keyframed_tracks_extractor(video_metadata);
+  },
+
+  // Add more extractor functions as needed
+};
+
+// Camera each extractor's annotations are drawn on (none: every camera)
+Extractors.dsf.stream = 'outward';
+Extractors.keyframed.stream = 'outward';
+
+// carBoxTrackerList frames are stamped in epoch milliseconds
+Extractors.keyframed.timeBase = 'epoch';
+
+export {Extractors};
\ No newline at end of file
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Static interval index over annotations for time queries.
+ *
+ * Annotations are sorted by start time and laid out as an implicit balanced
+ * tree (the middle of every slice is its root) where each node also stores
+ * the largest end time below it. A query walks down the tree and skips every
+ * subtree that ends before the window or starts after it, so finding the k
+ * annotations visible at a time costs O(log n + k) instead of a full scan.
+ *
+ * The index does not follow changes to the annotations; build a new one
+ * after adding or removing items (AnnotationManifest does this lazily).
+ *
+ * @example
+ * const index = new IntervalIndex(manifest.items.detection);
+ * const visible = index.getActiveAt(video.currentTime * 1000);
+ */
+
+export class IntervalIndex {
+  /**
+   * @param {Annotation[]} annotations - Annotations with startTimeMs/durationMs
+   */
+  constructor(annotations) {
+    this._items = [...annotations].sort((a, b) => a.startTimeMs - b.startTimeMs);
+    this._starts = new Float64Array(this._items.length);
+    this._ends = new Float64Array(this._items.length);
+    this._maxEnds = new Float64Array(this._items.length);
+
+    this._items.forEach((annotation, i) => {
+      this._starts[i] = annotation.startTimeMs;
+      this._ends[i] = annotation.startTimeMs + annotation.durationMs;
+    });
+    this._buildMaxEnds(0, this._items.length);
+  }
+
+  /**
+   * Number of indexed annotations.
+   * @returns {number}
+   */
+  get size() {
+    return this._items.length;
+  }
+
+  /**
+   * Annotations visible at a time (start and end inclusive), by start time.
+   * @param {number} timeMs
+   * @returns {Annotation[]}
+   */
+  getActiveAt(timeMs) {
+    return this.getInRange(timeMs, timeMs);
+  }
+
+  /**
+   * Annotations overlapping [startMs, endMs] (inclusive), by start time.
+   * @param {number} startMs
+   * @param {number} endMs
+   * @returns {Annotation[]}
+   */
+  getInRange(startMs, endMs) {
+    const result = [];
+    this._collect(0, this._items.length, startMs, endMs, result);
+    return result;
+  }
+
+  /**
+   * Fill _maxEnds for the slice [lo, hi); returns its largest end.
+   * @private
+   */
+  _buildMaxEnds(lo, hi) {
+    if (lo >= hi) return -Infinity;
+    const mid = (lo + hi) >>> 1;
+    const maxEnd = Math.max(this._ends[mid], this._buildMaxEnds(lo, mid), this._buildMaxEnds(mid + 1, hi));
+    this._maxEnds[mid] = maxEnd;
+    return maxEnd;
+  }
+
+  /**
+   * In-order walk of the slice [lo, hi), pruning slices outside the window.
+   * @private
+   */
+  _collect(lo, hi, startMs, endMs, result) {
+    if (lo >= hi) return;
+    const mid = (lo + hi) >>> 1;
+    if (this._maxEnds[mid] < startMs) return;
+
+    this._collect(lo, mid, startMs, endMs, result);
+    // Everything right of mid starts at or after it
+    if (this._starts[mid] > endMs) return;
+    if (this._ends[mid] >= startMs) {
+      result.push(this._items[mid]);
+    }
+    this._collect(mid + 1, hi, startMs, endMs, result);
+  }
+}
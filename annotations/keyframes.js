@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Keyframed geometry: a box, point or polyline stored at a few
+ * keyframes and interpolated for every rendered frame.
+ *
+ * Keyframe times are `offsetMs` from the annotation's start, so moving the
+ * annotation (e.g. onto video time, see time-base.js) moves its keyframes.
+ * Every numeric field of a keyframe is interpolated (bbox, point, points,
+ * confidence, ...); fields that cannot be (different polyline lengths,
+ * strings) hold the earlier keyframe's value until the next keyframe.
+ *
+ * @example
+ * sampleKeyframes([
+ *   { offsetMs: 0, bbox: { x: 0.1, y: 0.1, width: 0.2, height: 0.2 } },
+ *   { offsetMs: 200, bbox: { x: 0.3, y: 0.1, width: 0.2, height: 0.2 } },
+ * ], 100, 'linear');   // { offsetMs: 100, bbox: { x: 0.2, y: 0.1, width: 0.2, height: 0.2 } }
+ */
+
+/**
+ * Easing of the interpolation factor between two keyframes, by mode.
+ */
+export const EASINGS = {
+  linear: t => t,
+  // Hold the earlier keyframe until the next one
+  step: () => 0,
+  // Smoothstep: slow out of and into each keyframe
+  ease: t => t * t * (3 - 2 * t),
+};
+
+export const INTERPOLATIONS = Object.keys(EASINGS);
+
+/**
+ * Interpolate two values of the same shape.
+ * @param {*} a - Value at t = 0
+ * @param {*} b - Value at t = 1
+ * @param {number} t - Interpolation factor (0-1)
+ * @returns {*}
+ */
+export function interpolateValue(a, b, t) {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a + (b - a) * t;
+  }
+  if (Array.isArray(a) && Array.isArray(b) && a.length === b.length) {
+    return a.map((value, index) => interpolateValue(value, b[index], t));
+  }
+  if (a && b && typeof a === 'object' && typeof b === 'object' && !Array.isArray(a) && !Array.isArray(b)) {
+    const result = {};
+    for (const key of Object.keys(a)) {
+      result[key] = key in b ? interpolateValue(a[key], b[key], t) : a[key];
+    }
+    return result;
+  }
+  return t < 1 ? a : b;
+}
+
+/**
+ * Index of the last keyframe at or before `offsetMs` (binary search).
+ * @private
+ */
+function findKeyframe(keyframes, offsetMs) {
+  let low = 0;
+  let high = keyframes.length - 1;
+  while (low < high) {
+    const middle = (low + high + 1) >> 1;
+    if (keyframes[middle].offsetMs <= offsetMs) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return low;
+}
+
+/**
+ * Keyframe state at a time. Before the first keyframe the first one is
+ * returned, after the last one the last one (held).
+ * @param {Array<{offsetMs: number}>} keyframes - Sorted by offsetMs
+ * @param {number} offsetMs - Time since the annotation's start
+ * @param {string} [interpolation='linear'] - One of INTERPOLATIONS
+ * @returns {object|null} Interpolated keyframe, null without keyframes
+ */
+export function sampleKeyframes(keyframes, offsetMs, interpolation = 'linear') {
+  if (!keyframes || keyframes.length === 0) return null;
+
+  const ease = EASINGS[interpolation];
+  if (!ease) {
+    throw new Error(`Unknown interpolation '${interpolation}' (expected ${INTERPOLATIONS.join(', ')})`);
+  }
+
+  const index = findKeyframe(keyframes, offsetMs);
+  const before = keyframes[index];
+  const after = keyframes[index + 1];
+  if (offsetMs <= before.offsetMs || !after) {
+    return before;
+  }
+
+  const span = after.offsetMs - before.offsetMs;
+  const t = span > 0 ? ease((offsetMs - before.offsetMs) / span) : 0;
+  return { ...interpolateValue(before, after, t), offsetMs };
+}
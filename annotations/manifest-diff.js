@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Compare two annotation manifests, e.g. the output of two
+ * model versions for the same alert.
+ *
+ * Annotations are paired by id first. What is left is paired by time
+ * overlap; detections additionally need their boxes to overlap by at least
+ * `iouThreshold` (intersection over union). Pairs whose time, data or style
+ * differ are "changed", unpaired annotations are "removed" (only in
+ * `before`) or "added" (only in `after`).
+ *
+ * @example
+ * const diff = diffManifests(oldRun, newRun, { iouThreshold: 0.5 });
+ * diff.summary;                     // { added: 3, removed: 1, changed: 2, unchanged: 40 }
+ * annotator.loadManifest(diffToOverlay(diff));
+ */
+
+import { AnnotationManifest } from './annotation-manifest.js';
+import { IntervalIndex } from './interval-index.js';
+import { toNormalizedBox } from './coordinate-space.js';
+
+/**
+ * Overlay colors per diff status.
+ */
+export const DIFF_COLORS = {
+  added: '#00c853',
+  removed: '#ff1744',
+  changed: '#ffab00',
+};
+
+/**
+ * Intersection over union of two boxes in the same coordinate space.
+ * @param {{x: number, y: number, width: number, height: number}} a
+ * @param {{x: number, y: number, width: number, height: number}} b
+ * @returns {number} 0 (disjoint) to 1 (identical)
+ */
+export function boxIoU(a, b) {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  if (width <= 0 || height <= 0) return 0;
+  const intersection = width * height;
+  return intersection / (a.width * a.height + b.width * b.height - intersection);
+}
+
+/**
+ * How well two annotations of one category match, 0 when they cannot be paired.
+ * @private
+ */
+function matchScore(before, after, iouThreshold) {
+  const overlap = Math.min(before.startTimeMs + before.durationMs, after.startTimeMs + after.durationMs) -
+    Math.max(before.startTimeMs, after.startTimeMs);
+  if (overlap < 0) return 0;
+
+  if (before.data?.bbox && after.data?.bbox) {
+    const iou = boxIoU(toNormalizedBox(before.data.bbox, before.coordinateSpace),
+      toNormalizedBox(after.data.bbox, after.coordinateSpace));
+    return iou >= iouThreshold ? iou : 0;
+  }
+  // Temporal IoU; zero-length annotations that touch still count as a match
+  const union = Math.max(before.startTimeMs + before.durationMs, after.startTimeMs + after.durationMs) -
+    Math.min(before.startTimeMs, after.startTimeMs);
+  return union === 0 ? 1 : Math.max(overlap / union, Number.EPSILON);
+}
+
+/**
+ * Fields that differ between two paired annotations, e.g. ["durationMs", "data.bbox"].
+ * @private
+ */
+function changedFields(before, after) {
+  const fields = [];
+  for (const field of ['startTimeMs', 'durationMs']) {
+    if (before[field] !== after[field]) fields.push(field);
+  }
+  const keys = new Set([...Object.keys(before.data), ...Object.keys(after.data)]);
+  for (const key of keys) {
+    if (JSON.stringify(before.data[key]) !== JSON.stringify(after.data[key])) fields.push(`data.${key}`);
+  }
+  if (JSON.stringify(before.style) !== JSON.stringify(after.style)) fields.push('style');
+  if (before.stream !== after.stream) fields.push('stream');
+  if (JSON.stringify(before.coordinateSpace) !== JSON.stringify(after.coordinateSpace)) fields.push('coordinateSpace');
+  return fields;
+}
+
+/**
+ * Diff one category.
+ * @private
+ */
+function diffCategory(beforeItems, afterItems, iouThreshold) {
+  const result = { added: [], removed: [], changed: [], unchanged: 0 };
+  const pairs = [];
+
+  // 1. Same id
+  const afterById = new Map(afterItems.map(annotation => [annotation.id, annotation]));
+  const unmatchedBefore = [];
+  for (const before of beforeItems) {
+    const after = afterById.get(before.id);
+    if (after) {
+      pairs.push([before, after]);
+      afterById.delete(before.id);
+    } else {
+      unmatchedBefore.push(before);
+    }
+  }
+
+  // 2. Best overlap among the rest, greedily by score
+  const unmatchedAfter = new Set(afterById.values());
+  const index = new IntervalIndex([...unmatchedAfter]);
+  const candidates = [];
+  for (const before of unmatchedBefore) {
+    for (const after of index.getInRange(before.startTimeMs, before.startTimeMs + before.durationMs)) {
+      const score = matchScore(before, after, iouThreshold);
+      if (score > 0) candidates.push({ before, after, score });
+    }
+  }
+  candidates.sort((a, b) => b.score - a.score);
+
+  const pairedBefore = new Set();
+  for (const { before, after } of candidates) {
+    if (pairedBefore.has(before) || !unmatchedAfter.has(after)) continue;
+    pairedBefore.add(before);
+    unmatchedAfter.delete(after);
+    pairs.push([before, after]);
+  }
+
+  for (const [before, after] of pairs) {
+    const fields = changedFields(before, after);
+    if (fields.length > 0) {
+      result.changed.push({ before, after, fields });
+    } else {
+      result.unchanged++;
+    }
+  }
+  result.removed = unmatchedBefore.filter(before => !pairedBefore.has(before));
+  result.added = afterItems.filter(after => unmatchedAfter.has(after));
+  return result;
+}
+
+/**
+ * Compare two manifests.
+ * @param {AnnotationManifest|object} before - Manifest or its toJSON() output
+ * @param {AnnotationManifest|object} after - Manifest or its toJSON() output
+ * @param {object} [options]
+ * @param {number} [options.iouThreshold=0.5] - Minimum box IoU to pair detections with different ids
+ * @param {string[]} [options.categories] - Only compare these categories (default: all)
+ * @returns {{summary: object, categories: Object<string, {added: Annotation[], removed: Annotation[],
+ *   changed: {before: Annotation, after: Annotation, fields: string[]}[], unchanged: number}>}}
+ */
+export function diffManifests(before, after, { iouThreshold = 0.5, categories } = {}) {
+  const toManifest = value => (value instanceof AnnotationManifest ? value : AnnotationManifest.fromJSON(value));
+  const a = toManifest(before);
+  const b = toManifest(after);
+
+  const names = categories || [...new Set([...a.getCategories(), ...b.getCategories()])];
+  const summary = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+  const result = {};
+  for (const category of names) {
+    const diff = diffCategory(a.items[category] || [], b.items[category] || [], iouThreshold);
+    result[category] = diff;
+    summary.added += diff.added.length;
+    summary.removed += diff.removed.length;
+    summary.changed += diff.changed.length;
+    summary.unchanged += diff.unchanged;
+  }
+  return { summary, categories: result };
+}
+
+/**
+ * Manifest that draws a diff with the regular renderers: added annotations
+ * in green, removed ones in red and the new version of changed ones in
+ * amber. Each annotation's provenance says `{ source: 'diff', status }`.
+ * @param {object} diff - diffManifests() result
+ * @returns {AnnotationManifest}
+ */
+export function diffToOverlay(diff) {
+  const overlay = AnnotationManifest.create({ source: 'diff', summary: diff.summary });
+  const add = (annotation, status) => {
+    const color = DIFF_COLORS[status];
+    overlay.addItem({
+      ...annotation.toJSON(),
+      id: `${status}:${annotation.id}`,
+      // Each renderer reads a different color key
+      style: { ...annotation.style, borderColor: color, strokeColor: color, lineColor: color, color },
+      provenance: { source: 'diff', status },
+    });
+  };
+
+  for (const { added, removed, changed } of Object.values(diff.categories)) {
+    added.forEach(annotation => add(annotation, 'added'));
+    removed.forEach(annotation => add(annotation, 'removed'));
+    changed.forEach(({ after }) => add(after, 'changed'));
+  }
+  return overlay;
+}
@@ -0,0 +1,274 @@
+/**
+ * @fileoverview A small filter language over annotations, so reviewers can
+ * narrow a manifest without code changes:
+ *
+ *   category == "keyframed" and track.meanConfidence > 0.6 and track.minDistance <= 30
+ *   data.confidence >= 0.8 or provenance.source == "manual"
+ *   not (stream in ["inward", "dms"])
+ *
+ * Grammar (keywords are case-insensitive, `&&`, `||` and `!` also work):
+ *
+ *   expression := and ("or" and)*
+ *   and        := unary ("and" unary)*
+ *   unary      := "not" unary | comparison
+ *   comparison := value (("==" | "!=" | "<" | "<=" | ">" | ">=" | "in") value)?
+ *   value      := number | string | true | false | null | [value, ...] | (expression) | path
+ *   path       := name ("." name | "[" number "]")*
+ *
+ * Paths start at an annotation field (id, category, startTimeMs,
+ * durationMs, endTimeMs, stream, coordinateSpace, data, style, provenance),
+ * at `track` (a track's ids, first/last seen times and stats, see track.js)
+ * or name a `data` field directly: `confidence > 0.5` reads
+ * `data.confidence`. Missing fields are null; ordering comparisons are only
+ * true between two numbers or two strings.
+ *
+ * @example
+ * const onlyConfident = compileFilter('data.confidence > 0.6');
+ * manifest.filter(onlyConfident);
+ * manifest.query('category == "detection"');    // the same, in one call
+ */
+
+import { isTrackAnnotation, Track } from './track.js';
+
+/**
+ * Error for an expression that does not parse; `position` is the offset
+ * of the offending character.
+ */
+export class FilterSyntaxError extends Error {
+  constructor(message, expression, position) {
+    super(`${message} at position ${position} of filter '${expression}'`);
+    this.name = 'FilterSyntaxError';
+    this.expression = expression;
+    this.position = position;
+  }
+}
+
+const KEYWORDS = new Set(['and', 'or', 'not', 'in', 'true', 'false', 'null']);
+const OPERATORS = ['==', '!=', '<=', '>=', '&&', '||', '<', '>', '!', '(', ')', '[', ']', '.', ','];
+
+/**
+ * Split an expression into tokens: {type, value, position}.
+ * @private
+ */
+function tokenize(expression) {
+  const tokens = [];
+  let i = 0;
+  while (i < expression.length) {
+    const char = expression[i];
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    if (/[0-9]/.test(char) || (char === '-' && /[0-9]/.test(expression[i + 1] || ''))) {
+      const match = /^-?[0-9]+(\.[0-9]+)?([eE][-+]?[0-9]+)?/.exec(expression.slice(i));
+      tokens.push({ type: 'number', value: Number(match[0]), position: start });
+      i += match[0].length;
+    } else if (char === '"' || char === "'") {
+      let value = '';
+      i++;
+      while (i < expression.length && expression[i] !== char) {
+        if (expression[i] === '\\' && i + 1 < expression.length) i++;
+        value += expression[i++];
+      }
+      if (i >= expression.length) {
+        throw new FilterSyntaxError('Unterminated string', expression, start);
+      }
+      i++;
+      tokens.push({ type: 'string', value, position: start });
+    } else if (/[A-Za-z_$]/.test(char)) {
+      const [name] = /^[A-Za-z_$][A-Za-z0-9_$]*/.exec(expression.slice(i));
+      const keyword = name.toLowerCase();
+      tokens.push(KEYWORDS.has(keyword)
+        ? { type: 'keyword', value: keyword, position: start }
+        : { type: 'name', value: name, position: start });
+      i += name.length;
+    } else {
+      const operator = OPERATORS.find(candidate => expression.startsWith(candidate, i));
+      if (!operator) {
+        throw new FilterSyntaxError(`Unexpected '${char}'`, expression, start);
+      }
+      tokens.push({ type: 'operator', value: operator, position: start });
+      i += operator.length;
+    }
+  }
+  tokens.push({ type: 'end', value: null, position: expression.length });
+  return tokens;
+}
+
+/**
+ * Annotation fields a path can start at; anything else is a `data` field.
+ * @private
+ */
+const ROOTS = {
+  id: annotation => annotation.id,
+  category: annotation => annotation.category,
+  startTimeMs: annotation => annotation.startTimeMs,
+  durationMs: annotation => annotation.durationMs,
+  endTimeMs: annotation => annotation.startTimeMs + annotation.durationMs,
+  stream: (annotation, manifest) => (manifest ? manifest.getStream(annotation) : annotation.stream),
+  coordinateSpace: annotation => annotation.coordinateSpace,
+  data: annotation => annotation.data,
+  style: annotation => annotation.style,
+  provenance: annotation => annotation.provenance,
+  track: (annotation, manifest) => {
+    if (!isTrackAnnotation(annotation)) return null;
+    const track = new Track(annotation, manifest ? manifest.getStream(annotation) : annotation.stream);
+    const { id, trackId, classId, stream, firstSeenMs, lastSeenMs, stats } = track;
+    return { id, trackId, classId, stream, firstSeenMs, lastSeenMs, ...stats };
+  },
+};
+
+function compare(operator, left, right) {
+  switch (operator) {
+    case '==': return (left ?? null) === (right ?? null);
+    case '!=': return (left ?? null) !== (right ?? null);
+    case 'in': return Array.isArray(right) && right.includes(left ?? null);
+  }
+  const comparable = (typeof left === 'number' && typeof right === 'number') ||
+    (typeof left === 'string' && typeof right === 'string');
+  if (!comparable) return false;
+  switch (operator) {
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    default: return left >= right;
+  }
+}
+
+/**
+ * Recursive descent parser building evaluation closures
+ * `(annotation, manifest) => value`.
+ * @private
+ */
+function parse(expression) {
+  const tokens = tokenize(expression);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const fail = (message, token = peek()) => {
+    throw new FilterSyntaxError(message, expression, token.position);
+  };
+  const accept = (type, ...values) => {
+    const token = peek();
+    if (token.type === type && (values.length === 0 || values.includes(token.value))) {
+      index++;
+      return token;
+    }
+    return null;
+  };
+  const expect = (type, value, description) =>
+    accept(type, ...(value === undefined ? [] : [value])) || fail(`Expected ${description}`);
+
+  function parseOr() {
+    let left = parseAnd();
+    while (accept('keyword', 'or') || accept('operator', '||')) {
+      const a = left;
+      const b = parseAnd();
+      left = (annotation, manifest) => Boolean(a(annotation, manifest)) || Boolean(b(annotation, manifest));
+    }
+    return left;
+  }
+
+  function parseAnd() {
+    let left = parseUnary();
+    while (accept('keyword', 'and') || accept('operator', '&&')) {
+      const a = left;
+      const b = parseUnary();
+      left = (annotation, manifest) => Boolean(a(annotation, manifest)) && Boolean(b(annotation, manifest));
+    }
+    return left;
+  }
+
+  function parseUnary() {
+    if (accept('keyword', 'not') || accept('operator', '!')) {
+      const operand = parseUnary();
+      return (annotation, manifest) => !operand(annotation, manifest);
+    }
+    return parseComparison();
+  }
+
+  function parseComparison() {
+    const left = parseValue();
+    const operator = accept('operator', '==', '!=', '<', '<=', '>', '>=') || accept('keyword', 'in');
+    if (!operator) return left;
+    const right = parseValue();
+    return (annotation, manifest) => compare(operator.value, left(annotation, manifest), right(annotation, manifest));
+  }
+
+  function parseValue() {
+    const token = peek();
+    if (accept('number') || accept('string')) {
+      return () => token.value;
+    }
+    if (accept('keyword', 'true', 'false', 'null')) {
+      const value = { true: true, false: false, null: null }[token.value];
+      return () => value;
+    }
+    if (accept('operator', '(')) {
+      const inner = parseOr();
+      expect('operator', ')', "')'");
+      return inner;
+    }
+    if (accept('operator', '[')) {
+      const items = [];
+      if (!accept('operator', ']')) {
+        do {
+          items.push(parseValue());
+        } while (accept('operator', ','));
+        expect('operator', ']', "']'");
+      }
+      return (annotation, manifest) => items.map(item => item(annotation, manifest));
+    }
+    if (accept('name')) {
+      return parsePath(token.value);
+    }
+    return fail(token.type === 'end' ? 'Unexpected end of filter' : `Unexpected '${token.value}'`);
+  }
+
+  function parsePath(head) {
+    const keys = [];
+    for (;;) {
+      if (accept('operator', '.')) {
+        keys.push(expect('name', undefined, 'a field name').value);
+      } else if (accept('operator', '[')) {
+        keys.push(expect('number', undefined, 'an index').value);
+        expect('operator', ']', "']'");
+      } else {
+        break;
+      }
+    }
+
+    const root = Object.hasOwn(ROOTS, head) ? ROOTS[head] : annotation => annotation.data?.[head];
+    return (annotation, manifest) => {
+      let value = root(annotation, manifest);
+      for (const key of keys) {
+        if (value === null || typeof value !== 'object') return null;
+        value = value[key];
+      }
+      return value ?? null;
+    };
+  }
+
+  const evaluate = parseOr();
+  if (peek().type !== 'end') {
+    fail(`Unexpected '${peek().value}'`);
+  }
+  return evaluate;
+}
+
+/**
+ * Compile a filter expression.
+ * @param {string} expression
+ * @returns {function(Annotation, AnnotationManifest=): boolean} Predicate; pass the
+ *   manifest to resolve category streams (`metadata.categoryStreams`)
+ * @throws {FilterSyntaxError}
+ */
+export function compileFilter(expression) {
+  if (typeof expression !== 'string' || expression.trim() === '') {
+    throw new FilterSyntaxError('Empty filter', String(expression ?? ''), 0);
+  }
+  const evaluate = parse(expression);
+  return (annotation, manifest) => Boolean(evaluate(annotation, manifest));
+}
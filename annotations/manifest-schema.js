@@ -0,0 +1,449 @@
+/**
+ * @fileoverview JSON Schema for serialized annotation manifests and a small
+ * validator for it. Runs unchanged in the browser and in Node; the server
+ * publishes the schema at GET /schemas/manifest.schema.json.
+ *
+ * The schema covers the manifest envelope, the annotation envelope (both the
+ * startTimeMs/durationMs and the archived timeRange shape) and the `data`
+ * block of every category that has a renderer. Categories without a data
+ * schema only get the envelope checks.
+ *
+ * @example
+ * const errors = validateManifest(manifest.toJSON());
+ * // [{ path: '$.items.detection[0].data.bbox', annotationId: 'detection-1a2b3c4d',
+ * //    message: "must have required property 'height'" }]
+ */
+
+import { INTERPOLATIONS } from './keyframes.js';
+
+const point = {
+  type: 'object',
+  required: ['x', 'y'],
+  properties: {
+    x: { type: 'number' },
+    y: { type: 'number' },
+  },
+};
+
+const box = {
+  type: 'object',
+  required: ['x', 'y', 'width', 'height'],
+  properties: {
+    x: { type: 'number' },
+    y: { type: 'number' },
+    width: { type: 'number', minimum: 0 },
+    height: { type: 'number', minimum: 0 },
+  },
+};
+
+/**
+ * Schemas for the `data` block, by category.
+ */
+export const DATA_SCHEMAS = {
+  detection: {
+    type: 'object',
+    required: ['bbox'],
+    properties: {
+      bbox: box,
+      label: { type: 'string' },
+      class: { type: 'string' },
+      classId: { type: ['integer', 'string'] },
+      confidence: { type: 'number', minimum: 0, maximum: 1 },
+    },
+  },
+  text: {
+    type: 'object',
+    required: ['text', 'position'],
+    properties: {
+      text: { type: 'string' },
+      position: point,
+      anchor: {
+        enum: ['top-left', 'top-center', 'top-right', 'center-left', 'center', 'center-right',
+          'bottom-left', 'bottom-center', 'bottom-right'],
+      },
+      maxWidth: { type: 'number', exclusiveMinimum: 0 },
+    },
+  },
+  graph: {
+    type: 'object',
+    required: ['position', 'series'],
+    properties: {
+      graphType: { enum: ['line', 'bar', 'scatter'] },
+      position: box,
+      series: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['points'],
+          properties: {
+            name: { type: 'string' },
+            color: { type: 'string' },
+            lineWidth: { type: 'number', exclusiveMinimum: 0 },
+            pointRadius: { type: 'number', exclusiveMinimum: 0 },
+            points: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['timeMs', 'value'],
+                properties: {
+                  timeMs: { type: 'number' },
+                  value: { type: 'number' },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+  trajectory: {
+    type: 'object',
+    required: ['points'],
+    properties: {
+      points: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['x', 'y', 'timeMs'],
+          properties: {
+            x: { type: 'number' },
+            y: { type: 'number' },
+            timeMs: { type: 'number' },
+          },
+        },
+      },
+      interpolation: { enum: ['linear', 'bezier'] },
+      historyLengthMs: { type: 'number', minimum: 0 },
+      label: { type: 'string' },
+    },
+  },
+  dsf: {
+    type: 'object',
+    required: ['vanishing_triangle'],
+    properties: {
+      // Two lane lines, each [[x, y], [x, y]] in the annotation's coordinate space
+      vanishing_triangle: {
+        type: 'array',
+        minItems: 2,
+        maxItems: 2,
+        items: {
+          type: 'array',
+          minItems: 2,
+          maxItems: 2,
+          items: { type: 'array', minItems: 2, maxItems: 2, items: { type: 'number' } },
+        },
+      },
+    },
+  },
+  keyframed: {
+    type: 'object',
+    required: ['keyframes'],
+    properties: {
+      interpolation: { enum: INTERPOLATIONS },
+      keyframes: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['offsetMs'],
+          properties: {
+            offsetMs: { type: 'number', minimum: 0 },
+            bbox: box,
+            point,
+            points: { type: 'array', items: point },
+            confidence: { type: 'number', minimum: 0, maximum: 1 },
+            distance: { type: 'number', minimum: 0 },
+          },
+          anyOf: [{ required: ['bbox'] }, { required: ['point'] }, { required: ['points'] }],
+        },
+      },
+      class: { type: 'string' },
+      classId: { type: ['integer', 'string'] },
+      trackId: { type: ['integer', 'string'] },
+    },
+  },
+  cross: {
+    type: 'object',
+    properties: {
+      includeCenterLines: { type: 'boolean' },
+      debugText: { type: 'string' },
+    },
+  },
+  hello: {
+    type: 'object',
+    required: ['message'],
+    properties: {
+      message: { type: 'string' },
+      position: { enum: ['center', 'top', 'bottom', 'left', 'right'] },
+    },
+  },
+};
+
+const annotation = {
+  type: 'object',
+  required: ['category', 'data'],
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    category: { type: 'string', minLength: 1 },
+    startTimeMs: { type: 'number' },
+    durationMs: { type: 'number', minimum: 0 },
+    timeRange: {
+      type: 'object',
+      required: ['startMs', 'endMs'],
+      properties: {
+        startMs: { type: 'number' },
+        endMs: { type: 'number' },
+      },
+    },
+    data: { type: 'object' },
+    style: { type: 'object' },
+    provenance: {
+      type: 'object',
+      required: ['source'],
+      properties: {
+        source: { type: 'string', minLength: 1 },
+        extractor: { type: 'string' },
+        version: { type: 'string' },
+        author: { type: 'string' },
+      },
+    },
+    // Camera name, as in the dataset's camera layout
+    stream: { type: 'string', minLength: 1 },
+    // Geometry in `data` is normalized (default) or in pixels of a reference resolution
+    coordinateSpace: {
+      anyOf: [
+        { const: 'normalized' },
+        {
+          type: 'object',
+          required: ['units', 'width', 'height'],
+          properties: {
+            units: { const: 'pixels' },
+            width: { type: 'number', exclusiveMinimum: 0 },
+            height: { type: 'number', exclusiveMinimum: 0 },
+          },
+          additionalProperties: false,
+        },
+      ],
+    },
+  },
+  additionalProperties: false,
+  anyOf: [
+    { required: ['startTimeMs', 'durationMs'] },
+    { required: ['timeRange'] },
+  ],
+};
+
+/**
+ * Schema of AnnotationManifest#toJSON() output.
+ */
+export const MANIFEST_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: '/schemas/manifest.schema.json',
+  title: 'Annotation manifest',
+  type: 'object',
+  required: ['items'],
+  properties: {
+    version: { type: 'string' },
+    metadata: {
+      type: 'object',
+      properties: {
+        // Times of an 'epoch' manifest are moved onto video time when it is loaded
+        timeBase: { enum: ['video', 'epoch'] },
+        // Stream (camera) of every annotation of a category that names none itself
+        categoryStreams: { type: 'object', additionalProperties: { type: 'string', minLength: 1 } },
+        streams: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            properties: {
+              videoStartEpochMs: { type: ['number', 'null'] },
+              offsetMs: { type: 'number' },
+              estimated: { type: 'boolean' },
+            },
+          },
+        },
+      },
+    },
+    items: {
+      type: 'object',
+      properties: Object.fromEntries(Object.keys(DATA_SCHEMAS).map(category => [category, {
+        type: 'array',
+        items: {
+          allOf: [
+            { $ref: '#/$defs/annotation' },
+            { properties: { category: { const: category }, data: { $ref: `#/$defs/data/${category}` } } },
+          ],
+        },
+      }])),
+      additionalProperties: { type: 'array', items: { $ref: '#/$defs/annotation' } },
+    },
+  },
+  $defs: {
+    annotation,
+    data: DATA_SCHEMAS,
+  },
+};
+
+/**
+ * Error thrown for a manifest that does not match MANIFEST_SCHEMA; `errors`
+ * lists every problem.
+ */
+export class ManifestValidationError extends Error {
+  constructor(errors) {
+    const lines = formatValidationErrors(errors);
+    const more = lines.length > 3 ? ` (and ${lines.length - 3} more)` : '';
+    super(`Invalid annotation manifest: ${lines.slice(0, 3).join('; ')}${more}`);
+    this.name = 'ManifestValidationError';
+    this.errors = errors;
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  // NaN and Infinity do not survive JSON, so they are not numbers here
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) return 'non-finite number';
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(root, ref) {
+  return ref.slice(2).split('/').reduce((schema, key) => schema[key], root);
+}
+
+/**
+ * Validate a value against the subset of JSON Schema used in this file
+ * (type, enum, const, required, properties, additionalProperties, items,
+ * minItems/maxItems, minimum/maximum/exclusiveMinimum, minLength, allOf,
+ * anyOf and local $ref).
+ * @param {*} value
+ * @param {object} schema
+ * @param {string} [path='$'] - JSON path of `value`, used in the errors
+ * @param {object} [root=schema] - Document that `$ref`s resolve against
+ * @returns {{path: string, message: string}[]}
+ */
+export function validateSchema(value, schema, path = '$', root = schema) {
+  if (schema.$ref) {
+    return validateSchema(value, resolveRef(root, schema.$ref), path, root);
+  }
+
+  const errors = [];
+  const fail = message => errors.push({ path, message });
+
+  if (schema.allOf) {
+    for (const part of schema.allOf) {
+      errors.push(...validateSchema(value, part, path, root));
+    }
+  }
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      fail(`must be ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+  if ('const' in schema && value !== schema.const) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail(`must be > ${schema.exclusiveMinimum}`);
+    }
+  }
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    fail(`must be at least ${schema.minLength} characters`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`, root)));
+    }
+  } else if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) fail(`must have required property '${key}'`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const childPath = /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+      if (schema.properties && key in schema.properties) {
+        errors.push(...validateSchema(item, schema.properties[key], childPath, root));
+      } else if (schema.additionalProperties === false) {
+        fail(`must not have property '${key}'`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(item, schema.additionalProperties, childPath, root));
+      }
+    }
+  }
+
+  if (schema.anyOf && !schema.anyOf.some(option => validateSchema(value, option, path, root).length === 0)) {
+    // Report the first alternative's problems, they read best
+    errors.push(...validateSchema(value, schema.anyOf[0], path, root));
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a serialized manifest against MANIFEST_SCHEMA. Errors inside an
+ * annotation carry its id (null when the annotation has none).
+ * @param {object} json - Serialized manifest
+ * @returns {{path: string, annotationId: string|null, message: string}[]}
+ */
+export function validateManifest(json) {
+  const errors = validateSchema(json, MANIFEST_SCHEMA);
+  const items = json && typeof json === 'object' && json.items && typeof json.items === 'object' ? json.items : {};
+
+  // Annotations of categories without a data schema must still be filed under their own category
+  for (const [category, annotations] of Object.entries(items)) {
+    if (category in DATA_SCHEMAS || !Array.isArray(annotations)) continue;
+    annotations.forEach((item, index) => {
+      if (item && typeof item === 'object' && item.category !== undefined && item.category !== category) {
+        errors.push({ path: `$.items.${category}[${index}].category`, message: `must be ${JSON.stringify(category)}` });
+      }
+    });
+  }
+
+  const seen = new Set();
+  return errors.filter(error => {
+    // allOf branches can report the same problem twice
+    const key = `${error.path}\0${error.message}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  }).map(error => {
+    const match = /^\$\.items(?:\.([A-Za-z_$][\w$]*)|\[("(?:[^"\\]|\\.)*")\])\[(\d+)\]/.exec(error.path);
+    const category = match && (match[1] ?? JSON.parse(match[2]));
+    const item = match && items[category]?.[Number(match[3])];
+    return {
+      path: error.path,
+      annotationId: item && typeof item.id === 'string' ? item.id : null,
+      message: error.message,
+    };
+  });
+}
+
+/**
+ * One line per error, e.g. "$.items.text[0].data (note-1): must have required property 'text'".
+ * @param {{path: string, annotationId: string|null, message: string}[]} errors
+ * @returns {string[]}
+ */
+export function formatValidationErrors(errors) {
+  return errors.map(({ path, annotationId, message }) =>
+    `${path}${annotationId ? ` (${annotationId})` : ''}: ${message}`);
+}
@@ -0,0 +1,95 @@
+/**
+ * Converts video session metadata to annotation manifests
+ * 
+ * Basic usage:
+ * ===============
+ * const manifest = MetadataToAnnotationConverter.convertToManifest(
+ *   metadata, 
+ *   ['dsf', 'detection'],
+ *   { debugMode: true }
+ * );
+ * 
+ * Runs unchanged in the browser and in Node (server.js uses it for /annotations/:id).
+ *
+ * Time base:
+ * ===============
+ * Extractors emit video-relative times unless they declare otherwise with
+ * `extractor.timeBase = 'epoch'` (and `extractor.stream = 'outward'` for the
+ * camera their frames belong to). Every extractor's output is moved onto
+ * video time with the stream timing in `options.streams`, see time-base.js:
+ *
+ * MetadataToAnnotationConverter.convertToManifest(metadata, ['detection'], {
+ *   streams: { outward: { videoStartEpochMs: 1752673813000, offsetMs: 40 } }
+ * });
+ */
+
+import { AnnotationManifest } from './annotation-manifest.js';
+import { Extractors } from './extractors.js';
+import { alignToVideoTime } from './time-base.js';
+
+export class MetadataToAnnotationConverter {
+  
+  static VERSION = '0.9.0';
+  
+  /**
+   * Convert video session metadata to an AnnotationManifest object / not json
+   * @param {Object} video_session_metadata - The video session metadata
+   * @param {Array<string>} [annotationCategories=[]] - List of annotation categories to process
+   * @param {Object} [options={}] - Optional configuration
+   * @param {Function} [options.onExtractorError] - Called with (category, error) when an
+   *   extractor throws; the category is left out of the manifest either way
+   * @param {Object<string, {videoStartEpochMs?: number, offsetMs?: number}>} [options.streams] -
+   *   Per stream timing used to put extractor output onto video time
+   * @returns {AnnotationManifest|null} AnnotationManifest or null if conversion fails
+   */
+  static convertToManifest(video_session_metadata, annotationCategories = [], options = {}) {
+    try {
+      const annotationsByCategory = {};
+      const outputs = [];
+      const categoryStreams = {};
+
+      for (const category of annotationCategories) {
+        try {
+          const extractor = Extractors[category];
+          if (extractor && typeof extractor === 'function') {
+            const annotations = extractor(video_session_metadata, options);
+            for (const annotation of annotations) {
+              annotation.provenance ??= { source: "metadata-converter", extractor: category, version: this.VERSION };
+            }
+            annotationsByCategory[category] = annotations;
+            outputs.push({ annotations, timeBase: extractor.timeBase, stream: extractor.stream });
+            if (extractor.stream) {
+              categoryStreams[category] = extractor.stream;
+            }
+          }
+        } catch (error) {
+          if (options.onExtractorError) {
+            options.onExtractorError(category, error);
+          } else {
+            console.error(`Failed to extract '${category}' annotations: ${error.message}`);
+          }
+        }
+      }
+
+      const { streams } = alignToVideoTime(outputs, options.streams);
+
+      const metadata = {
+        source: "metadata-converter",
+        version: this.VERSION,
+        created: new Date().toISOString(),
+        extractors: annotationCategories,
+        timeBase: "video",
+        streams,
+        categoryStreams
+      };
+      const manifest = new AnnotationManifest("1.0", metadata, annotationsByCategory);
+      return manifest;
+
+    } catch (error) {
+      console.error(`Failed to convert metadata to manifest: ${error.message}`);
+      return null;
+    }
+  }
+
+
+}
\ No newline at end of file
@@ -0,0 +1,97 @@
+import { DetectionRenderer } from "./detection-renderer.js";
+import { sampleKeyframes } from "../keyframes.js";
+
+/**
+ * @fileoverview KeyframedRenderer - Renders geometry sampled at keyframes,
+ * interpolated for the current frame (see keyframes.js)
+ *
+ * ANNOTATION DATA STRUCTURE:
+ * =========================
+ *
+ * {
+ *   id: "track-227",
+ *   category: "keyframed",
+ *   startTimeMs: 347,
+ *   durationMs: 1200,
+ *   coordinateSpace: { units: "pixels", width: 1920, height: 1080 }, // Optional
+ *   data: {
+ *     interpolation: "linear",       //   "linear" (default), "step" or "ease"
+ *     keyframes: [                   //   Sorted by offsetMs (ms since startTimeMs)
+ *       { offsetMs: 0,   bbox: { x: 987, y: 552, width: 27, height: 24 }, confidence: 0.79 },
+ *       { offsetMs: 200, bbox: { x: 990, y: 551, width: 28, height: 25 }, confidence: 0.81 }
+ *     ],
+ *     class: "vehicle",              //   Optional: label text
+ *     trackId: 227                   //   Optional: shown with style.showTrackId
+ *   },
+ *   style: { borderColor: "#00bfff" } // Same keys as DetectionRenderer
+ * }
+ *
+ * A keyframe carries one geometry: `bbox` (drawn like a detection), `point`
+ * {x, y} (a dot) or `points` [{x, y}, ...] (a polyline).
+ */
+
+// ========================================
+// KEYFRAMED RENDERER - Interpolated boxes, points and polylines
+// ========================================
+export class KeyframedRenderer extends DetectionRenderer {
+  static category = "keyframed";
+
+  getDefaultOptions() {
+    return {
+      ...super.getDefaultOptions(),
+      defaultBorderColor: "#00bfff",
+      defaultInterpolation: "linear",
+      defaultPointRadius: 4,
+    };
+  }
+
+  render(annotation, currentTimeMs, videoRect) {
+    const { data, coordinateSpace } = annotation;
+    const style = annotation.style || {};
+
+    const frame = sampleKeyframes(
+      data.keyframes,
+      currentTimeMs - annotation.startTimeMs,
+      data.interpolation || this.options.defaultInterpolation,
+    );
+    if (!frame) return;
+
+    if (frame.bbox) {
+      const pixelBbox = this.denormalizeBoundingBox(frame.bbox, videoRect, coordinateSpace);
+      this.drawBoundingBox(pixelBbox, style);
+      if (style.showLabel !== false && this.options.defaultShowLabel) {
+        // Per-keyframe values (e.g. confidence) override the annotation's
+        this.drawLabel({ data: { ...data, ...frame } }, pixelBbox, style);
+      }
+    } else if (frame.point) {
+      this.drawPoint(this.denormalizePoint(frame.point, videoRect, coordinateSpace), style);
+    } else if (frame.points) {
+      this.drawPolyline(frame.points.map(point => this.denormalizePoint(point, videoRect, coordinateSpace)), style);
+    }
+  }
+
+  drawPoint(point, style) {
+    this.ctx.save();
+    this.ctx.fillStyle = style.borderColor || this.options.defaultBorderColor;
+    this.ctx.beginPath();
+    this.ctx.arc(point.x, point.y, style.pointRadius || this.options.defaultPointRadius, 0, 2 * Math.PI);
+    this.ctx.fill();
+    this.ctx.restore();
+  }
+
+  drawPolyline(points, style) {
+    if (points.length < 2) return;
+
+    this.ctx.save();
+    this.ctx.strokeStyle = style.borderColor || this.options.defaultBorderColor;
+    this.ctx.lineWidth = style.borderWidth || this.options.defaultBorderWidth;
+    this.ctx.lineJoin = "round";
+    this.ctx.beginPath();
+    this.ctx.moveTo(points[0].x, points[0].y);
+    for (const point of points.slice(1)) {
+      this.ctx.lineTo(point.x, point.y);
+    }
+    this.ctx.stroke();
+    this.ctx.restore();
+  }
+}
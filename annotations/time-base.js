@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Time base alignment: put annotation times onto video time.
+ *
+ * Renderers compare annotation times with `video.currentTime * 1000`, but
+ * metadata frames are stamped in epoch milliseconds (e.g. `frame_timestamp:
+ * 1752673813347`). Every stream (camera) can declare when its video starts
+ * and an extra offset:
+ *
+ *   streams: { outward: { videoStartEpochMs: 1752673813000, offsetMs: 40 } }
+ *
+ * and annotations of that stream are moved to
+ *
+ *   video time = epoch time - videoStartEpochMs + offsetMs     (epoch time base)
+ *   video time = video time + offsetMs                         (video time base)
+ *
+ * Times inside `data` (trajectory points, graph series points) are moved
+ * along with the annotation; keyframe `offsetMs` values are relative to the
+ * annotation start and stay as they are.
+ *
+ * When a stream has epoch annotations but no known videoStartEpochMs, the
+ * earliest of those annotations is taken as the start of the video and the
+ * stream is marked `estimated: true`.
+ */
+
+export const TIME_BASES = ['video', 'epoch'];
+
+// Stream name used for output that names no stream when several are configured
+export const DEFAULT_STREAM = 'default';
+
+/**
+ * Normalize one stream timing entry.
+ * @param {object} [timing]
+ * @returns {{videoStartEpochMs: number|null, offsetMs: number}}
+ */
+function normalizeTiming(timing = {}) {
+  return {
+    videoStartEpochMs: Number.isFinite(timing.videoStartEpochMs) ? timing.videoStartEpochMs : null,
+    offsetMs: Number.isFinite(timing.offsetMs) ? timing.offsetMs : 0,
+  };
+}
+
+const shiftPoints = (points, shift) => points.map(point =>
+  (Number.isFinite(point?.timeMs) ? { ...point, timeMs: point.timeMs + shift } : point));
+
+/**
+ * Absolute times inside `data`, by category: a copy of `data` with them moved
+ * by `shift`. The copy keeps annotations that share `data` apart.
+ * @private
+ */
+const DATA_TIMES = {
+  trajectory: (data, shift) => (Array.isArray(data.points)
+    ? { ...data, points: shiftPoints(data.points, shift) }
+    : data),
+  graph: (data, shift) => (Array.isArray(data.series)
+    ? { ...data, series: data.series.map(series => (Array.isArray(series?.points) ? { ...series, points: shiftPoints(series.points, shift) } : series)) }
+    : data),
+};
+
+/**
+ * Move extractor output onto video time, in place.
+ *
+ * @example
+ * const { streams } = alignToVideoTime([
+ *   { annotations: boxes, timeBase: 'epoch', stream: 'outward' },
+ *   { annotations: lanes },
+ * ], { outward: { videoStartEpochMs: 1752673813000 } });
+ *
+ * @param {Array<{annotations: Annotation[], timeBase?: string, stream?: string|null}>} outputs -
+ *   Annotations grouped by the time base and stream they were produced in
+ *   (default: video time, no stream)
+ * @param {Object<string, {videoStartEpochMs?: number, offsetMs?: number}>} [streams={}] - Known stream timing
+ * @returns {{streams: Object<string, {videoStartEpochMs: number|null, offsetMs: number, estimated?: boolean}>}}
+ *   Timing that was applied, per stream
+ */
+export function alignToVideoTime(outputs, streams = {}) {
+  const configured = Object.keys(streams);
+  const resolved = {};
+  for (const name of configured) {
+    resolved[name] = normalizeTiming(streams[name]);
+  }
+
+  // Output without a stream belongs to the only configured stream, if there is one
+  const streamOf = output => output.stream ?? (configured.length === 1 ? configured[0] : DEFAULT_STREAM);
+
+  for (const output of outputs) {
+    const timeBase = output.timeBase || 'video';
+    if (!TIME_BASES.includes(timeBase)) {
+      throw new Error(`Unknown time base '${timeBase}' (expected ${TIME_BASES.join(' or ')})`);
+    }
+    const name = streamOf(output);
+    resolved[name] ??= normalizeTiming();
+
+    if (timeBase === 'epoch' && resolved[name].videoStartEpochMs === null) {
+      const starts = outputs
+        .filter(other => other.timeBase === 'epoch' && streamOf(other) === name)
+        .flatMap(other => other.annotations.map(annotation => annotation.startTimeMs))
+        .filter(Number.isFinite);
+      if (starts.length > 0) {
+        resolved[name].videoStartEpochMs = starts.reduce((min, start) => Math.min(min, start), Infinity);
+        resolved[name].estimated = true;
+      }
+    }
+  }
+
+  for (const output of outputs) {
+    const timing = resolved[streamOf(output)];
+    const shift = (output.timeBase === 'epoch' ? -(timing.videoStartEpochMs ?? 0) : 0) + timing.offsetMs;
+    if (shift === 0) continue;
+    for (const annotation of output.annotations) {
+      annotation.startTimeMs += shift;
+      if (DATA_TIMES[annotation.category] && annotation.data) {
+        annotation.data = DATA_TIMES[annotation.category](annotation.data, shift);
+      }
+    }
+  }
+
+  // Streams nothing was assigned to and that declare nothing are left out
+  for (const [name, timing] of Object.entries(resolved)) {
+    if (!configured.includes(name) && timing.videoStartEpochMs === null && timing.offsetMs === 0) {
+      delete resolved[name];
+    }
+  }
+  return { streams: resolved };
+}
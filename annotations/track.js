@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Tracks: one tracked object (a tracker's track_id) over time.
+ *
+ * A track is stored in a manifest as a `keyframed` annotation whose data
+ * names the tracker id (see extractors-folder/keyframed_tracks.js):
+ *
+ *   { id: 'track-227', category: 'keyframed', startTimeMs: 1000, durationMs: 2000,
+ *     data: { trackId: 227, classId: 1, keyframes: [{ offsetMs: 0, bbox, confidence }, ...] } }
+ *
+ * Track reads that annotation as per-frame states in video time, with
+ * first/last seen times and summary stats; AnnotationManifest#getTracks()
+ * and friends return them.
+ */
+
+import { sampleKeyframes } from './keyframes.js';
+
+/**
+ * Tracks seen in fewer frames than this are usually tracker noise.
+ */
+export const MIN_TRACK_LENGTH = 3;
+
+/**
+ * Whether an annotation holds a track.
+ * @param {Annotation} annotation
+ * @returns {boolean}
+ */
+export function isTrackAnnotation(annotation) {
+  return annotation.category === 'keyframed' &&
+    annotation.data.trackId !== undefined &&
+    Array.isArray(annotation.data.keyframes) &&
+    annotation.data.keyframes.length > 0;
+}
+
+export class Track {
+  /**
+   * @param {Annotation} annotation - Keyframed annotation with `data.trackId`
+   * @param {string|null} [stream=null] - Stream the annotation belongs to
+   */
+  constructor(annotation, stream = null) {
+    if (!isTrackAnnotation(annotation)) {
+      throw new Error(`Annotation '${annotation.id}' is not a track`);
+    }
+    const { data } = annotation;
+
+    this.id = annotation.id;
+    this.trackId = data.trackId;
+    this.classId = data.classId ?? null;
+    this.stream = stream;
+    this.coordinateSpace = annotation.coordinateSpace;
+    this.interpolation = data.interpolation || 'linear';
+    this.annotation = annotation;
+    this._keyframes = data.keyframes;
+  }
+
+  /**
+   * Per-frame states in video time, e.g. [{ timeMs: 1000, bbox, confidence }].
+   * @returns {object[]}
+   */
+  get states() {
+    const { startTimeMs } = this.annotation;
+    return this._keyframes.map(({ offsetMs, ...state }) => ({ timeMs: startTimeMs + offsetMs, ...state }));
+  }
+
+  /**
+   * Number of frames the object was seen in.
+   * @returns {number}
+   */
+  get length() {
+    return this._keyframes.length;
+  }
+
+  get firstSeenMs() {
+    return this.annotation.startTimeMs + this._keyframes[0].offsetMs;
+  }
+
+  get lastSeenMs() {
+    return this.annotation.startTimeMs + this._keyframes[this._keyframes.length - 1].offsetMs;
+  }
+
+  /**
+   * Summary of the track.
+   * @returns {{frames: number, durationMs: number, meanConfidence: number|null, maxConfidence: number|null,
+   *   minDistance: number|null}} minDistance is the closest the object came, in metres
+   */
+  get stats() {
+    const confidences = this._keyframes.map(keyframe => keyframe.confidence).filter(Number.isFinite);
+    const distances = this._keyframes.map(keyframe => keyframe.distance).filter(Number.isFinite);
+    return {
+      frames: this.length,
+      durationMs: this.lastSeenMs - this.firstSeenMs,
+      meanConfidence: confidences.length > 0
+        ? confidences.reduce((sum, confidence) => sum + confidence, 0) / confidences.length
+        : null,
+      maxConfidence: confidences.length > 0 ? Math.max(...confidences) : null,
+      minDistance: distances.length > 0 ? Math.min(...distances) : null,
+    };
+  }
+
+  /**
+   * State at a video time, interpolated between frames.
+   * @param {number} timeMs
+   * @returns {object|null} { timeMs, bbox, confidence, ... }, null outside first..last seen
+   */
+  stateAt(timeMs) {
+    if (timeMs < this.firstSeenMs || timeMs > this.lastSeenMs) return null;
+    const { offsetMs, ...state } = sampleKeyframes(this._keyframes, timeMs - this.annotation.startTimeMs,
+      this.interpolation);
+    return { timeMs, ...state };
+  }
+
+  /**
+   * Whether the object was seen during a window (both ends inclusive).
+   * @param {number} startMs
+   * @param {number} endMs
+   * @returns {boolean}
+   */
+  isActiveIn(startMs, endMs) {
+    return this.firstSeenMs <= endMs && this.lastSeenMs >= startMs;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      trackId: this.trackId,
+      classId: this.classId,
+      stream: this.stream,
+      firstSeenMs: this.firstSeenMs,
+      lastSeenMs: this.lastSeenMs,
+      stats: this.stats,
+      states: this.states,
+    };
+  }
+}
@@ -0,0 +1,58 @@
+// Time queries on a synthetic 100k-annotation manifest: the per-frame
+// full scan the renderers used to do against the interval index.
+//
+//   npm run bench
+//   node bench/interval-index.bench.mjs 500000   # other sizes
+
+import { performance } from 'node:perf_hooks';
+import { Annotation, AnnotationManifest } from '../annotations/annotation-manifest.js';
+
+const COUNT = Number(process.argv[2]) || 100000;
+const FRAME_MS = 33;
+const BOXES_PER_FRAME = 20;
+const QUERIES = 2000;
+
+// Per-frame detections like carBoxTrackerList produces, plus a few long-lived overlays
+function syntheticManifest(count) {
+  const detections = [];
+  for (let i = 0; i < count; i++) {
+    const frame = Math.floor(i / BOXES_PER_FRAME);
+    detections.push(new Annotation('detection', frame * FRAME_MS, FRAME_MS, {
+      bbox: { x: (i % BOXES_PER_FRAME) / BOXES_PER_FRAME, y: 0.5, width: 0.04, height: 0.1 },
+      track_id: i % BOXES_PER_FRAME,
+    }, { id: `detection-${i}` }));
+  }
+  const texts = [new Annotation('text', 0, Math.ceil(count / BOXES_PER_FRAME) * FRAME_MS, { text: 'drive' })];
+  return new AnnotationManifest('1.0', {}, { detection: detections, text: texts });
+}
+
+function measure(label, runs, fn) {
+  let found = 0;
+  const start = performance.now();
+  for (let i = 0; i < runs; i++) {
+    found += fn(i);
+  }
+  const totalMs = performance.now() - start;
+  console.log(`${label.padEnd(34)} ${(totalMs / runs * 1000).toFixed(1).padStart(10)} us/op  (${found} hits)`);
+  return totalMs / runs;
+}
+
+const buildStart = performance.now();
+const manifest = syntheticManifest(COUNT);
+console.log(`manifest with ${manifest.count} annotations built in ${(performance.now() - buildStart).toFixed(0)} ms`);
+
+const durationMs = Math.ceil(COUNT / BOXES_PER_FRAME) * FRAME_MS;
+const times = Array.from({ length: QUERIES }, (_, i) => (i * 7919) % durationMs);
+
+const indexStart = performance.now();
+manifest.getActiveAt(0);
+console.log(`interval index built in ${(performance.now() - indexStart).toFixed(0)} ms\n`);
+
+const all = Object.values(manifest.items).flat();
+const scan = measure('full scan getActiveAt', QUERIES, i => all.filter(annotation =>
+  times[i] >= annotation.timeRange.startMs && times[i] <= annotation.timeRange.endMs).length);
+const indexed = measure('indexed getActiveAt', QUERIES, i => manifest.getActiveAt(times[i]).length);
+measure('indexed getActiveAt [detection]', QUERIES, i => manifest.getActiveAt(times[i], ['detection']).length);
+measure('indexed getInRange (1 s window)', QUERIES, i => manifest.getInRange(times[i], times[i] + 1000).length);
+
+console.log(`\nindexed lookups are ${(scan / indexed).toFixed(0)}x faster than the full scan`);
@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+// Convert metadata.json files to annotation manifests without a browser,
+// using the same converter and extractors as GET /annotations/:id.
+//
+//   node cli/convert.js assets/1/metadata.json --categories dsf,detection -o manifest.json
+//   node cli/convert.js --all --out-dir manifests/
+//   node cli/convert.js assets/1/metadata.json --filter 'track.minDistance <= 30'
+//
+// Exit codes: 0 success, 1 an extractor failed or a manifest is invalid,
+// 2 bad usage or unreadable input.
+
+const fs = require('fs/promises');
+const path = require('path');
+const { parseArgs } = require('util');
+const { loadAnnotationPipeline, parseCategories, parseFilters, compileFilters } = require('../server/annotations');
+const { listDatasetIds } = require('../server/datasets');
+const { CameraLayoutError, readDatasetLayout, streamTimingFromLayout } = require('../server/camera-layout');
+
+const DEFAULT_ASSETS_DIR = path.join(__dirname, '..', 'assets');
+
+const USAGE = `Usage:
+  node cli/convert.js <metadata.json> [--categories <list>] [--filter <expr>] [-o <manifest.json>]
+  node cli/convert.js --all [--assets <dir>]... [--categories <list>] [--filter <expr>] [--out-dir <dir>]
+
+A cameras.json next to metadata.json supplies the per camera video start
+used to put epoch stamped metadata onto video time.
+
+Options:
+  --categories <list>  Comma separated annotation categories (default: all)
+  --filter <expr>      Keep annotations matching an expression, e.g.
+                       'data.confidence > 0.6 and category == "detection"';
+                       repeat to require several
+  -o, --output <file>  Write the manifest here instead of stdout
+  --all                Convert every dataset in the assets directories and print counts
+  --assets <dir>       Assets directory for --all; repeat for several (default: ./assets)
+  --out-dir <dir>      With --all, write <id>.json manifests into this directory
+  --pretty             Indent the JSON output
+  -h, --help           Show this help`;
+
+/**
+ * Error for bad arguments or unreadable input (exit code 2).
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Check a serialized manifest against the manifest JSON Schema.
+ * @param {object} manifest - toJSON() output of an AnnotationManifest
+ * @returns {Promise<string[]>} One line per problem, with its JSON path and annotation id
+ */
+async function checkManifest(manifest) {
+  const { validateManifest, formatValidationErrors } = await loadAnnotationPipeline();
+  return formatValidationErrors(validateManifest(manifest));
+}
+
+/**
+ * Convert one metadata document.
+ * @param {object} metadata - Parsed metadata.json
+ * @param {string[]} categories - Categories to extract
+ * @param {object} [streams] - Per stream timing, see readStreamTiming()
+ * @param {Function|null} [filter] - Predicate from compileFilters(); only matching annotations are kept
+ * @returns {Promise<{manifest: object|null, failures: string[], problems: string[]}>}
+ *   `manifest` is the serialized manifest
+ */
+async function convertMetadata(metadata, categories, streams, filter = null) {
+  const { MetadataToAnnotationConverter } = await loadAnnotationPipeline();
+
+  const failures = [];
+  const manifest = MetadataToAnnotationConverter.convertToManifest(metadata, categories, {
+    streams,
+    onExtractorError(category, error) {
+      failures.push(`${category}: ${error.message}`);
+    },
+  });
+  if (!manifest) {
+    return { manifest: null, failures: [...failures, 'conversion failed'], problems: [] };
+  }
+
+  const json = (filter ? manifest.filter(filter) : manifest).toJSON();
+  return { manifest: json, failures, problems: await checkManifest(json) };
+}
+
+/**
+ * Annotation count per category, e.g. "dsf=2 cross=1".
+ * @param {object} manifest - Serialized manifest
+ * @returns {string}
+ */
+function formatCounts(manifest) {
+  return Object.entries(manifest.items)
+    .map(([category, annotations]) => `${category}=${annotations.length}`)
+    .join(' ');
+}
+
+async function readMetadata(filePath) {
+  let text;
+  try {
+    text = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    throw new UsageError(`Cannot read ${filePath}: ${error.message}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new UsageError(`${filePath} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Camera timing from the cameras.json in a dataset folder, if there is one.
+ * @param {string} datasetDir
+ * @returns {Promise<object>} Stream name -> {videoStartEpochMs, offsetMs}
+ */
+async function readStreamTiming(datasetDir) {
+  try {
+    return streamTimingFromLayout((await readDatasetLayout(datasetDir)) || []);
+  } catch (error) {
+    if (!(error instanceof CameraLayoutError)) throw error;
+    throw new UsageError(`${path.join(datasetDir, 'cameras.json')}: ${error.message}`);
+  }
+}
+
+function serialize(manifest, pretty) {
+  return `${JSON.stringify(manifest, null, pretty ? 2 : undefined)}\n`;
+}
+
+/**
+ * Report failures of one conversion on stderr.
+ * @returns {boolean} Whether the conversion succeeded
+ */
+function reportResult(label, { failures, problems }, stderr) {
+  for (const failure of failures) {
+    stderr.write(`${label}: extractor failed - ${failure}\n`);
+  }
+  for (const problem of problems) {
+    stderr.write(`${label}: invalid manifest - ${problem}\n`);
+  }
+  return failures.length === 0 && problems.length === 0;
+}
+
+async function convertFile(metadataPath, { categories, filter, output, pretty }, { stdout, stderr }) {
+  const metadata = await readMetadata(metadataPath);
+  const streams = await readStreamTiming(path.dirname(metadataPath));
+  const result = await convertMetadata(metadata, categories, streams, filter);
+  const ok = reportResult(metadataPath, result, stderr);
+  if (!result.manifest) return 1;
+
+  if (output) {
+    await fs.writeFile(output, serialize(result.manifest, pretty));
+  } else {
+    stdout.write(serialize(result.manifest, pretty));
+  }
+  stderr.write(`${metadataPath}: ${formatCounts(result.manifest)}\n`);
+  return ok ? 0 : 1;
+}
+
+async function convertAll(assetsDirs, { categories, filter, outDir, pretty }, { stdout, stderr }) {
+  if (outDir) {
+    await fs.mkdir(outDir, { recursive: true });
+  }
+
+  const seen = new Set();
+  let exitCode = 0;
+  for (const assetsDir of assetsDirs) {
+    const ids = (await listDatasetIds(assetsDir))
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+    for (const id of ids) {
+      // Same precedence as the server: the first root holding an id wins
+      if (seen.has(id)) continue;
+      seen.add(id);
+
+      const metadataPath = path.join(assetsDir, id, 'metadata.json');
+      let result;
+      try {
+        const metadata = await readMetadata(metadataPath);
+        const streams = await readStreamTiming(path.dirname(metadataPath));
+        result = await convertMetadata(metadata, categories, streams, filter);
+      } catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        stdout.write(`${id}\tskipped (${error.message})\n`);
+        continue;
+      }
+
+      if (!reportResult(id, result, stderr)) {
+        exitCode = 1;
+      }
+      if (!result.manifest) {
+        stdout.write(`${id}\tfailed\n`);
+        continue;
+      }
+
+      const total = Object.values(result.manifest.items).reduce((sum, items) => sum + items.length, 0);
+      stdout.write(`${id}\t${formatCounts(result.manifest)}\ttotal=${total}\n`);
+      if (outDir) {
+        await fs.writeFile(path.join(outDir, `${id}.json`), serialize(result.manifest, pretty));
+      }
+    }
+  }
+  return exitCode;
+}
+
+/**
+ * Run the command.
+ * @param {string[]} argv - Arguments after `node cli/convert.js`
+ * @param {{stdout: object, stderr: object}} [io] - Output streams
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+  try {
+    let parsed;
+    try {
+      parsed = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+          categories: { type: 'string' },
+          filter: { type: 'string', multiple: true },
+          output: { type: 'string', short: 'o' },
+          all: { type: 'boolean' },
+          assets: { type: 'string', multiple: true },
+          'out-dir': { type: 'string' },
+          pretty: { type: 'boolean' },
+          help: { type: 'boolean', short: 'h' },
+        },
+      });
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+    const { values, positionals } = parsed;
+
+    if (values.help) {
+      io.stdout.write(`${USAGE}\n`);
+      return 0;
+    }
+
+    const { Extractors, FilterSyntaxError } = await loadAnnotationPipeline();
+    const { categories, unknown } = parseCategories(values.categories, Object.keys(Extractors));
+    if (unknown.length > 0) {
+      throw new UsageError(`Unknown categories: ${unknown.join(', ')} (available: ${Object.keys(Extractors).join(', ')})`);
+    }
+
+    let filter = null;
+    try {
+      filter = await compileFilters(parseFilters(values.filter));
+    } catch (error) {
+      if (!(error instanceof FilterSyntaxError)) throw error;
+      throw new UsageError(error.message);
+    }
+
+    if (values.all) {
+      if (positionals.length > 0 || values.output) {
+        throw new UsageError('--all takes no metadata file and writes with --out-dir instead of -o');
+      }
+      const assetsDirs = values.assets || [DEFAULT_ASSETS_DIR];
+      return await convertAll(assetsDirs, { categories, filter, outDir: values['out-dir'], pretty: values.pretty }, io);
+    }
+
+    if (positionals.length !== 1) {
+      throw new UsageError('Expected exactly one metadata.json path (or --all)');
+    }
+    return await convertFile(positionals[0], { categories, filter, output: values.output, pretty: values.pretty }, io);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    io.stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  }, error => {
+    console.error(error);
+    process.exitCode = 2;
+  });
+}
+
+module.exports = { main, checkManifest };
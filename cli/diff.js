@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+// Compare two annotation manifests, e.g. the output of two model versions.
+//
+//   node cli/diff.js old-manifest.json new-manifest.json
+//   node cli/diff.js old.json new.json --iou 0.3 --overlay diff-overlay.json
+//
+// Exit codes: 0 no differences, 1 differences found, 2 bad usage or
+// unreadable input (like diff(1)).
+
+const fs = require('fs/promises');
+const { parseArgs } = require('util');
+
+const USAGE = `Usage:
+  node cli/diff.js <before.json> <after.json> [--iou <0-1>] [--categories <list>] [--json] [--overlay <file>]
+
+Options:
+  --iou <number>        Minimum box overlap to pair detections with different ids (default: 0.5)
+  --categories <list>   Comma separated categories to compare (default: all)
+  --json                Print the full diff as JSON instead of a listing
+  --overlay <file>      Write a color-coded overlay manifest (added green, removed red, changed amber)
+  -h, --help            Show this help`;
+
+/**
+ * Error for bad arguments or unreadable input (exit code 2).
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+async function readManifest(filePath) {
+  let text;
+  try {
+    text = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    throw new UsageError(`Cannot read ${filePath}: ${error.message}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new UsageError(`${filePath} is not valid JSON: ${error.message}`);
+  }
+}
+
+function describe(annotation) {
+  const endMs = annotation.startTimeMs + annotation.durationMs;
+  return `${annotation.id} ${annotation.startTimeMs}-${endMs}ms`;
+}
+
+/**
+ * Human readable listing: one summary line per category, then one line
+ * per added (+), removed (-) and changed (~) annotation.
+ * @returns {string}
+ */
+function formatDiff(diff) {
+  const lines = [];
+  for (const [category, { added, removed, changed, unchanged }] of Object.entries(diff.categories)) {
+    lines.push(`${category}\tadded=${added.length} removed=${removed.length} changed=${changed.length} unchanged=${unchanged}`);
+    for (const annotation of added) lines.push(`  + ${describe(annotation)}`);
+    for (const annotation of removed) lines.push(`  - ${describe(annotation)}`);
+    for (const { before, after, fields } of changed) {
+      const id = before.id === after.id ? describe(after) : `${before.id} -> ${describe(after)}`;
+      lines.push(`  ~ ${id} (${fields.join(', ')})`);
+    }
+  }
+  const { added, removed, changed, unchanged } = diff.summary;
+  lines.push(`total\tadded=${added} removed=${removed} changed=${changed} unchanged=${unchanged}`);
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Run the command.
+ * @param {string[]} argv - Arguments after `node cli/diff.js`
+ * @param {{stdout: object, stderr: object}} [io] - Output streams
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+  try {
+    let parsed;
+    try {
+      parsed = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+          iou: { type: 'string' },
+          categories: { type: 'string' },
+          json: { type: 'boolean' },
+          overlay: { type: 'string' },
+          help: { type: 'boolean', short: 'h' },
+        },
+      });
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+    const { values, positionals } = parsed;
+
+    if (values.help) {
+      io.stdout.write(`${USAGE}\n`);
+      return 0;
+    }
+    if (positionals.length !== 2) {
+      throw new UsageError('Expected two manifest files');
+    }
+
+    const iouThreshold = values.iou === undefined ? 0.5 : Number(values.iou);
+    if (!(iouThreshold >= 0 && iouThreshold <= 1)) {
+      throw new UsageError(`--iou must be a number between 0 and 1, got ${values.iou}`);
+    }
+    const categories = values.categories
+      ? values.categories.split(',').map(category => category.trim()).filter(Boolean)
+      : undefined;
+
+    const [before, after] = await Promise.all(positionals.map(readManifest));
+
+    // annotations/ holds ES modules shared with the browser
+    const { diffManifests, diffToOverlay } = await import('../annotations/manifest-diff.js');
+    let diff;
+    try {
+      diff = diffManifests(before, after, { iouThreshold, categories });
+    } catch (error) {
+      throw new UsageError(`Cannot compare the manifests: ${error.message}`);
+    }
+
+    io.stdout.write(values.json ? `${JSON.stringify(diff, null, 2)}\n` : formatDiff(diff));
+    if (values.overlay) {
+      await fs.writeFile(values.overlay, `${JSON.stringify(diffToOverlay(diff))}\n`);
+    }
+
+    const { added, removed, changed } = diff.summary;
+    return added + removed + changed > 0 ? 1 : 0;
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    io.stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  }, error => {
+    console.error(error);
+    process.exitCode = 2;
+  });
+}
+
+module.exports = { main };
@@ -1,5 +1,38 @@
-import { MetadataToAnnotationConverter } from './annotations/metadata-to-annotation-converter.js';
+import { AnnotationManifest } from './annotations/annotation-manifest.js';
 import { VideoAnnotator } from './annotations/video-annotator.js';
+import { compileFilter } from './annotations/manifest-filter.js';
+
+// Annotation categories requested from the server
+const ANNOTATION_CATEGORIES = ['dsf', 'cross', 'keyframed'];
+
+// Failures already sent to /client-errors; a broken renderer throws on every frame
+const reportedErrors = new Set();
+const MAX_ERROR_REPORTS = 20;
+
+// Send a renderer/extractor failure to the server log, once per distinct error
+function reportClientError(source, error, context = {}) {
+    const message = error?.message || String(error);
+    const key = `${source}:${context.category || ''}:${message}`;
+    if (reportedErrors.has(key) || reportedErrors.size >= MAX_ERROR_REPORTS) return;
+    reportedErrors.add(key);
+
+    fetch('/client-errors', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ source, message, stack: error?.stack, page: location.href, ...context }),
+        keepalive: true,
+    }).catch(() => {
+        // Reporting is best effort
+    });
+}
+
+window.addEventListener('error', event => {
+    reportClientError('uncaught', event.error || event.message);
+});
+
+window.addEventListener('unhandledrejection', event => {
+    reportClientError('uncaught', event.reason);
+});
 
 // Function to draw annotations from VideoAnnotator onto a canvas
 function drawAnnotationsOnCanvas(annotator, ctx, canvas, currentTimeMs) {
@@ -12,11 +45,7 @@ function drawAnnotationsOnCanvas(annotator, ctx, canvas, currentTimeMs) {
     // Iterate through all renderers and their annotations
     for (const [category, renderer] of annotator.renderers) {
         // Get annotations for this renderer that are visible at current time
-        const annotations = renderer._annotations.filter(annotation => {
-            if (!annotation.timeRange) return false;
-            return currentTimeMs >= annotation.timeRange.startMs && 
-                   currentTimeMs <= annotation.timeRange.endMs;
-        });
+        const annotations = renderer.getActiveAnnotations(currentTimeMs);
         
         // Render each visible annotation using the renderer's logic
         for (const annotation of annotations) {
@@ -43,15 +72,19 @@ function drawAnnotationsOnCanvas(annotator, ctx, canvas, currentTimeMs) {
                 ctx.restore();
             } catch (error) {
                 console.error(`Error rendering annotation ${annotation.id} on canvas:`, error);
+                reportClientError('renderer', error, {
+                    category,
+                    annotationId: annotation.id,
+                    datasetId: annotator.video.datasetId,
+                });
             }
         }
     }
 }
 
 // Function to set up canvas drawing for a video
-function setupVideoCanvas(videoId, canvasId) {
-    const video = document.getElementById(videoId);
-    const canvas = document.getElementById(canvasId);
+// signal: removes the window listeners when the panel is discarded
+function setupVideoCanvas(video, canvas, signal) {
     const ctx = canvas.getContext("2d");
 
     video.addEventListener("loadedmetadata", () => {
@@ -64,7 +97,7 @@ function setupVideoCanvas(videoId, canvasId) {
         canvas.style.width = video.offsetWidth + 'px';
         canvas.style.height = video.offsetHeight + 'px';
 
-        function drawFrame(now, metadata) {
+        function paintFrame() {
             // Clear the canvas
             ctx.clearRect(0, 0, canvas.width, canvas.height);
             
@@ -75,10 +108,16 @@ function setupVideoCanvas(videoId, canvasId) {
             if (video.annotator && video.annotator.isVisible) {
                 drawAnnotationsOnCanvas(video.annotator, ctx, canvas, video.currentTime * 1000);
             }
-            
+        }
+
+        function drawFrame(now, metadata) {
+            paintFrame();
             video.requestVideoFrameCallback(drawFrame); // Request the next frame
         }
 
+        // Lets a paused video show freshly loaded annotations
+        video.redrawCanvas = paintFrame;
+
         // Start drawing frames when video plays
         video.addEventListener("play", () => {
             video.requestVideoFrameCallback(drawFrame);
@@ -91,14 +130,23 @@ function setupVideoCanvas(videoId, canvasId) {
             // Update canvas resolution to match new size
             canvas.width = video.videoWidth;
             canvas.height = video.videoHeight;
-        });
+        }, { signal });
     });
 }
 
 // Function to get metadata from server
-async function getMetadata(id) {
+// query (optional): { select: ['inference_data.observations_data.laneCalibrationParams'], from, to }
+async function getMetadata(id, query = {}) {
     try {
-        const response = await fetch(`/metadata/${id}`);
+        const params = new URLSearchParams();
+        for (const selector of [].concat(query.select || [])) {
+            params.append('select', selector);
+        }
+        if (query.from !== undefined) params.set('from', query.from);
+        if (query.to !== undefined) params.set('to', query.to);
+
+        const search = params.toString() ? `?${params}` : '';
+        const response = await fetch(`/metadata/${encodeURIComponent(id)}${search}`);
         
         if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status}`);
@@ -112,113 +160,413 @@ async function getMetadata(id) {
     }
 }
 
-// Function to load videos for a specific ID
-function loadVideos(id) {
-    const inwardVideo = document.getElementById('inward-video');
-    const outwardVideo = document.getElementById('outward-video');
-    const inwardDownload = document.getElementById('inward-download');
-    const outwardDownload = document.getElementById('outward-download');
-    
-    const inwardSrc = `/video/${id}/inward.mp4`;
-    const outwardSrc = `/video/${id}/outward.mp4`;
-    
-    // Update video sources
-    inwardVideo.src = inwardSrc;
-    outwardVideo.src = outwardSrc;
-    
-    // Update download links
-    inwardDownload.href = inwardSrc;
-    outwardDownload.href = outwardSrc;
-    
-    // Load the videos
-    inwardVideo.load();
-    outwardVideo.load();
+// Function to get the annotation manifest built server side from the metadata
+async function getAnnotationManifest(id, categories) {
+    const query = encodeURIComponent(categories.join(','));
+    const response = await fetch(`/annotations/${encodeURIComponent(id)}?categories=${query}`);
+
+    // The server config may enable fewer categories; ask again for the enabled ones
+    if (response.status === 400) {
+        const { error } = await response.json();
+        const enabled = error.code === 'UNKNOWN_CATEGORY'
+            ? categories.filter(category => (error.available || []).includes(category))
+            : [];
+        if (enabled.length > 0 && enabled.length < categories.length) {
+            return getAnnotationManifest(id, enabled);
+        }
+        throw new Error(error.message);
+    }
+
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    return AnnotationManifest.fromJSON(await response.json());
+}
+
+// Function to get the dataset catalog from server
+async function getDatasets() {
+    const response = await fetch('/datasets');
+
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const catalog = await response.json();
+    return catalog.datasets;
+}
+
+// Human readable file size
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+// Text used both for the list label and for search matching
+function describeDataset(dataset) {
+    const cameras = dataset.cameras.map(camera => camera.name).join(', ') || 'no videos';
+    const metadata = dataset.metadata.present ? 'metadata' : 'no metadata';
+    return `${dataset.id} (${cameras}; ${metadata})`;
+}
+
+// Fill the dataset list with the datasets matching the search text
+function renderDatasetList(datasets, searchText) {
+    const datasetList = document.getElementById('dataset-list');
+    const previous = datasetList.value;
+    const query = searchText.trim().toLowerCase();
+
+    datasetList.innerHTML = '';
+    for (const dataset of datasets) {
+        const label = describeDataset(dataset);
+        if (query && !label.toLowerCase().includes(query)) continue;
+
+        const option = document.createElement('option');
+        option.value = dataset.id;
+        option.textContent = label;
+        datasetList.appendChild(option);
+    }
+
+    // Keep the previous selection if it is still listed, otherwise pick the first match
+    datasetList.value = previous;
+    if (!datasetList.value && datasetList.options.length > 0) {
+        datasetList.selectedIndex = 0;
+    }
+}
+
+// Show catalog facts for the selected dataset
+function renderDatasetDetails(dataset) {
+    const details = document.getElementById('dataset-details');
+    if (!dataset) {
+        details.textContent = 'No dataset selected';
+        return;
+    }
+
+    const lines = [`Dataset ${dataset.id}`];
+    for (const camera of dataset.cameras) {
+        lines.push(`${camera.label}: ${camera.filename}, ${formatBytes(camera.sizeBytes)}`);
+    }
+    if (dataset.layoutError) {
+        lines.push(dataset.layoutError);
+    }
+
+    const metadata = dataset.metadata;
+    if (!metadata.present) {
+        lines.push('metadata.json: missing');
+    } else {
+        lines.push(`metadata.json: ${formatBytes(metadata.sizeBytes)}`);
+        if (metadata.error) {
+            lines.push(metadata.error);
+        }
+        if (metadata.timestampRange) {
+            const { startMs, endMs, frameCount } = metadata.timestampRange;
+            lines.push(`Frames: ${frameCount}`);
+            lines.push(`From: ${new Date(startMs).toISOString()}`);
+            lines.push(`To: ${new Date(endMs).toISOString()}`);
+        }
+    }
+
+    details.innerHTML = '';
+    for (const line of lines) {
+        const div = document.createElement('div');
+        div.textContent = line;
+        details.appendChild(div);
+    }
+}
+
+// Window listeners of the current camera panels
+let cameraPanelsController = null;
+
+// Build the video + canvas panel for one camera of the catalog entry
+function createCameraPanel(camera) {
+    const section = document.createElement('div');
+    section.className = 'video-section';
+    section.dataset.camera = camera.name;
+
+    const title = document.createElement('div');
+    title.className = 'video-title';
+    title.textContent = camera.resolution
+        ? `${camera.label} (${camera.resolution.width}x${camera.resolution.height})`
+        : camera.label;
+
+    const videoWrapper = document.createElement('div');
+    videoWrapper.className = 'video-wrapper';
+    const video = document.createElement('video');
+    video.controls = true;
+    video.preload = 'metadata';
+    video.camera = camera;
+    videoWrapper.appendChild(video);
+
+    const canvasWrapper = document.createElement('div');
+    canvasWrapper.className = 'canvas-wrapper';
+    const canvasTitle = document.createElement('div');
+    canvasTitle.className = 'canvas-title';
+    canvasTitle.textContent = 'Canvas Output';
+    const canvas = document.createElement('canvas');
+    canvasWrapper.append(canvasTitle, canvas);
+
+    const downloadWrapper = document.createElement('div');
+    downloadWrapper.style.textAlign = 'center';
+    const download = document.createElement('a');
+    download.className = 'download-link';
+    download.href = camera.url;
+    download.download = camera.filename;
+    download.textContent = `Download ${camera.label} Video`;
+    downloadWrapper.appendChild(download);
+
+    section.append(title, videoWrapper, canvasWrapper, downloadWrapper);
+    return { section, video, canvas };
+}
+
+// Function to load the camera videos of a dataset from the catalog,
+// one panel per camera in the dataset's layout order
+function loadVideos(dataset) {
+    const container = document.getElementById('camera-panels');
+
+    cameraPanelsController?.abort();
+    cameraPanelsController = new AbortController();
+    container.innerHTML = '';
+
+    if (dataset.layoutError) {
+        console.warn(`Dataset ${dataset.id}: ${dataset.layoutError}`);
+    }
+
+    if (dataset.cameras.length === 0) {
+        const message = document.createElement('div');
+        message.className = 'no-cameras';
+        message.textContent = `Dataset ${dataset.id} has no videos`;
+        container.appendChild(message);
+        return;
+    }
+
+    for (const camera of dataset.cameras) {
+        const { section, video, canvas } = createCameraPanel(camera);
+        container.appendChild(section);
+
+        if (video.canPlayType(camera.contentType) === '') {
+            console.warn(`Browser may not play ${camera.filename} (${camera.contentType})`);
+        }
+
+        // Lets error reports name the dataset
+        video.datasetId = dataset.id;
+
+        setupVideoCanvas(video, canvas, cameraPanelsController.signal);
+        attachVideoAnnotator(video, camera.name);
+
+        // Load the video
+        video.src = camera.url;
+        video.load();
+    }
     
-    console.log(`Videos loaded for dataset ID: ${id}`);
+    console.log(`Videos loaded for dataset ID: ${dataset.id}`);
 }
 
 
 function draw_annotations(annotation_manifest) {
+    console.log(annotation_manifest);
+
     // Get the video elements, not canvas elements
-    const inwardVideoElement = document.getElementById("inward-video");
-    const outwardVideoElement = document.getElementById("outward-video");
+    for (const video of document.querySelectorAll('#camera-panels video')) {
+        video.annotator.loadManifest(annotation_manifest);
+        // Don't show the annotator's own canvases - we'll render on our main canvases instead
+        video.annotator.isVisible = true; // Set visibility flag but don't show canvases
+    }
 
-    const inward_annotator = inwardVideoElement.annotator;
-    const outward_annotator = outwardVideoElement.annotator;
+    console.log('Annotations loaded and ready to render on main canvases');
+}
 
-    console.log(annotation_manifest);
-    inward_annotator.loadManifest(annotation_manifest);
-    // Don't show the annotator's own canvases - we'll render on our main canvases instead
-    inward_annotator.isVisible = true; // Set visibility flag but don't show canvases
-    
-    outward_annotator.loadManifest(annotation_manifest);
-    // Don't show the annotator's own canvases - we'll render on our main canvases instead  
-    outward_annotator.isVisible = true; // Set visibility flag but don't show canvases
 
-    console.log('Annotations loaded and ready to render on main canvases');
+// Re-fetch the manifest and reload it into the annotators, keeping the
+// playback position and play/pause state of every video
+async function reloadAnnotations(id) {
+    const videos = Array.from(document.querySelectorAll('video'));
+    const playback = videos.map(video => ({ video, currentTime: video.currentTime, paused: video.paused }));
+
+    const annotation_manifest = await getAnnotationManifest(id, ANNOTATION_CATEGORIES);
+    draw_annotations(annotation_manifest);
+
+    for (const { video, currentTime, paused } of playback) {
+        if (video.currentTime !== currentTime) {
+            video.currentTime = currentTime;
+        }
+        if (paused && video.redrawCanvas) {
+            video.redrawCanvas();
+        }
+    }
+
+    console.log(`Annotations reloaded for dataset ID: ${id}`);
 }
 
+// Subscribe to change notifications for a dataset folder (Server-Sent Events)
+function watchDatasetChanges(id, onMetadataChange) {
+    const events = new EventSource(`/events/${encodeURIComponent(id)}`);
 
-function setupVideoAnnotators(){
-    const inwardVideoElement = document.getElementById("inward-video");
-    const outwardVideoElement = document.getElementById("outward-video");
+    events.addEventListener('change', event => {
+        const change = JSON.parse(event.data);
+        if (change.kind === 'metadata') {
+            onMetadataChange(change);
+        }
+    });
+
+    events.addEventListener('error', () => {
+        // EventSource reconnects by itself; only log the interruption
+        console.warn(`Live reload connection for dataset ${id} interrupted`);
+    });
+
+    return events;
+}
+
+
+// Filter expression applied to every annotator, null for none
+let annotationFilter = null;
 
-    const inward_annotator = new VideoAnnotator(inwardVideoElement);
-    const outward_annotator = new VideoAnnotator(outwardVideoElement);
+// Attach an annotator to a camera video so it can be accessed later; it
+// only draws the annotations meant for that camera
+function attachVideoAnnotator(video, cameraName) {
+    video.annotator = new VideoAnnotator(video, { stream: cameraName, filter: annotationFilter });
+}
 
-    // Attach annotators to the video elements so they can be accessed later
-    inwardVideoElement.annotator = inward_annotator;
-    outwardVideoElement.annotator = outward_annotator;
+// Narrow what every camera draws; throws FilterSyntaxError for a bad
+// expression before any annotator changes
+function applyAnnotationFilter(expression) {
+    const filter = expression.trim() || null;
+    if (filter) {
+        compileFilter(filter);
+    }
+    annotationFilter = filter;
 
-    console.log('Video annotators initialized');
+    for (const video of document.querySelectorAll('#camera-panels video')) {
+        if (!video.annotator) continue;
+        video.annotator.setFilter(filter);
+        if (video.paused && video.redrawCanvas) {
+            video.redrawCanvas();
+        }
+    }
 }
 
 
 // Set up event listeners
 document.addEventListener('DOMContentLoaded', () => {
-    // Initialize video annotators
-    setupVideoAnnotators();
-    
     const loadVideosBtn = document.getElementById('load-videos');
     const showAnnotationsBtn = document.getElementById('show-annotations');
-    const datasetIdInput = document.getElementById('dataset-id');
+    const datasetSearch = document.getElementById('dataset-search');
+    const datasetList = document.getElementById('dataset-list');
+    const manifestFile = document.getElementById('manifest-file');
+    const filterInput = document.getElementById('annotation-filter');
+    let datasets = [];
+
+    // Live reload of the dataset whose annotations are shown
+    let annotatedDatasetId = null;
+    let datasetEvents = null;
+
+    const selectedDataset = () => datasets.find(dataset => dataset.id === datasetList.value);
+
+    datasetSearch.addEventListener('input', () => {
+        renderDatasetList(datasets, datasetSearch.value);
+        renderDatasetDetails(selectedDataset());
+    });
+
+    datasetList.addEventListener('change', () => {
+        renderDatasetDetails(selectedDataset());
+    });
+
+    // Double click loads the dataset directly
+    datasetList.addEventListener('dblclick', () => {
+        loadVideosBtn.click();
+    });
     
     loadVideosBtn.addEventListener('click', () => {
-        const id = datasetIdInput.value.trim();
-        if (id) {
-            loadVideos(id);
+        const dataset = selectedDataset();
+        if (dataset) {
+            // Annotations of the previous dataset no longer apply
+            if (annotatedDatasetId !== dataset.id) {
+                datasetEvents?.close();
+                datasetEvents = null;
+                annotatedDatasetId = null;
+            }
+            loadVideos(dataset);
         } else {
-            alert('Please enter a dataset ID');
+            alert('Please select a dataset');
         }
     });
     
     showAnnotationsBtn.addEventListener('click', () => {
         // add code to show annotations
-        const id = datasetIdInput.value.trim();
+        const id = datasetList.value;
         if (id) {
-            getMetadata(id)
-                .then(metadata => {
-                    const annotation_manifest = MetadataToAnnotationConverter.convertToManifest(metadata,['dsf','cross']);
+            getAnnotationManifest(id, ANNOTATION_CATEGORIES)
+                .then(annotation_manifest => {
                     console.log('Annotations:', annotation_manifest);
                     // Here you can add code to display the annotations in the UI
                     draw_annotations(annotation_manifest);
 
-
+                    // Reload automatically when metadata.json is regenerated
+                    if (annotatedDatasetId !== id) {
+                        datasetEvents?.close();
+                        annotatedDatasetId = id;
+                        datasetEvents = watchDatasetChanges(id, () => {
+                            reloadAnnotations(id).catch(error => {
+                                console.error('Error reloading annotations:', error);
+                            });
+                        });
+                    }
                 })
                 .catch(error => {
-                    console.error('Error fetching or converting metadata:', error);
+                    console.error('Error fetching annotations:', error);
                 });
         }
         else {
-            alert('Please enter a dataset ID to show annotations');
+            alert('Please select a dataset to show annotations');
         }
     });
     
-    // Load default videos on page load
-    loadVideos('1');
-});
+    // Show a manifest from disk on the loaded videos, e.g. a diff overlay
+    manifestFile.addEventListener('change', async () => {
+        const [file] = manifestFile.files;
+        if (!file) return;
+        try {
+            const annotation_manifest = AnnotationManifest.fromJSON(JSON.parse(await file.text()));
+            // The file does not follow metadata.json changes
+            datasetEvents?.close();
+            datasetEvents = null;
+            annotatedDatasetId = null;
+            draw_annotations(annotation_manifest);
+        } catch (error) {
+            console.error(`Error loading ${file.name}:`, error);
+            alert(`Cannot show ${file.name}: ${error.message}`);
+        } finally {
+            manifestFile.value = '';
+        }
+    });
 
+    // Apply the filter on Enter or when the field loses focus
+    filterInput.addEventListener('change', () => {
+        try {
+            applyAnnotationFilter(filterInput.value);
+            filterInput.classList.remove('invalid');
+            filterInput.title = '';
+        } catch (error) {
+            filterInput.classList.add('invalid');
+            filterInput.title = error.message;
+        }
+    });
 
-// Set up canvas drawing for both videos
-setupVideoCanvas("inward-video", "inward-canvas");
-setupVideoCanvas("outward-video", "outward-canvas");
+    // Populate the dataset list and load the first dataset on page load
+    getDatasets()
+        .then(catalog => {
+            datasets = catalog;
+            renderDatasetList(datasets, datasetSearch.value);
+            renderDatasetDetails(selectedDataset());
+            if (selectedDataset()) {
+                loadVideos(selectedDataset());
+            }
+        })
+        .catch(error => {
+            console.error('Error fetching dataset catalog:', error);
+        });
+});
@@ -1,90 +1,435 @@
 const express = require('express');
 const path = require('path');
-const fs = require('fs');
-
-const app = express();
-const PORT = process.env.PORT || 3000;
-
-// Serve static files (videos)
-app.use('/videos', express.static(__dirname));
-
-// Serve static files (JS, CSS, etc.)
-app.use(express.static(__dirname));
-
-// Serve the main HTML page
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'index.html'));
-});
-
-// Video streaming endpoint
-app.get('/video/:id/:filename', (req, res) => {
-  const id = req.params.id;
-  const filename = req.params.filename;
-  const videoPath = path.join(__dirname, 'assets', id, filename);
-  
-  
-  // Check if file exists
-  if (!fs.existsSync(videoPath)) {
-    return res.status(404).send('Video not found');
+const { listDatasets, describeDataset } = require('./server/datasets');
+const { sendFileWithRanges } = require('./server/byte-range');
+const { detectVideoType } = require('./server/media-types');
+const { createAssetsResolver, AssetPathError } = require('./server/assets-resolver');
+const { loadAnnotationPipeline, parseCategories, parseFilters, compileFilters } = require('./server/annotations');
+const { queryMetadata } = require('./server/metadata-query');
+const { createMetadataCache } = require('./server/metadata-cache');
+const { sendJson } = require('./server/json-response');
+const { createManualAnnotationStore } = require('./server/manual-annotations');
+const { createDatasetWatcher, openEventStream } = require('./server/live-reload');
+const { createUploadHandlers } = require('./server/dataset-upload');
+const {
+  DEFAULT_CAMERA_LAYOUT,
+  CameraLayoutError,
+  normalizeCameraLayout,
+  readDatasetLayout,
+  streamTimingFromLayout,
+} = require('./server/camera-layout');
+const { ApiError, toApiError, createErrorHandler } = require('./server/api-error');
+const { createLogger, requestLogging } = require('./server/request-logging');
+const { parseClientErrorReport } = require('./server/client-errors');
+const { loadConfig, ConfigError, USAGE } = require('./server/config');
+
+const ASSETS_DIR = path.join(__dirname, 'assets');
+
+// Largest accepted JSON request body (manual annotation manifests)
+const JSON_BODY_LIMIT = '20mb';
+
+// Largest accepted browser error report
+const CLIENT_ERROR_BODY_LIMIT = '16kb';
+
+// Largest accepted file in a dataset upload (each video and metadata.json)
+const UPLOAD_FILE_LIMIT_BYTES = 2 * 1024 * 1024 * 1024;
+
+// Only these files and folders of the repository are served to browsers
+const PUBLIC_FILES = ['index.html', 'client.js', 'styles.css'];
+const PUBLIC_DIRS = ['annotations'];
+
+/**
+ * Create the express app.
+ * @param {object} [options={}]
+ * @param {string} [options.assetsDir] - Directory holding the dataset folders
+ * @param {string[]} [options.assetsDirs] - Several such directories, searched in order;
+ *   uploads go to the first
+ * @param {number} [options.metadataCacheSize=8] - Parsed metadata documents kept in memory
+ * @param {number} [options.uploadFileLimitBytes] - Largest accepted file in a dataset upload
+ * @param {object[]} [options.cameraLayout] - Cameras shown for datasets without a
+ *   cameras.json: [{name, file?, label?, resolution?: {width, height}, order?}]
+ * @param {string[]|null} [options.annotationCategories] - Categories /annotations may
+ *   build (default: every extractor)
+ * @param {object} [options.logger] - Structured logger (see server/request-logging.js)
+ * @returns {import('express').Express}
+ */
+function createApp({
+  assetsDir = ASSETS_DIR,
+  assetsDirs = [assetsDir],
+  metadataCacheSize = 8,
+  uploadFileLimitBytes = UPLOAD_FILE_LIMIT_BYTES,
+  cameraLayout = DEFAULT_CAMERA_LAYOUT,
+  annotationCategories = null,
+  logger = createLogger(),
+} = {}) {
+  const app = express();
+  // Throws at startup rather than on the first catalog request
+  const catalogOptions = { cameraLayout: normalizeCameraLayout(cameraLayout), metadataSummaries: new Map() };
+  const assets = createAssetsResolver(assetsDirs);
+  const metadataCache = createMetadataCache({ maxEntries: metadataCacheSize });
+  const manualAnnotations = createManualAnnotationStore();
+  const datasetWatcher = createDatasetWatcher();
+  app.locals.datasetWatcher = datasetWatcher;
+  const startedAt = Date.now();
+  let clientErrorCount = 0;
+
+  // Request id header and one access log line per request
+  app.use(requestLogging(logger));
+
+  // Routes with a dataset id report it in access logs and error responses
+  app.param('id', (req, res, next, id) => {
+    req.datasetId = id;
+    next();
+  });
+
+  // Asset lookup failures, with a route specific message for missing files
+  function assetError(error, notFoundMessage) {
+    if (error instanceof AssetPathError && error.status === 404) {
+      return new AssetPathError(404, error.code, notFoundMessage);
+    }
+    return toApiError(error, 'Failed to read dataset');
+  }
+
+  // Resolve assets/<id>/metadata.json
+  async function resolveMetadataPath(id) {
+    try {
+      const { filePath } = await assets.resolveFile(id, 'metadata.json');
+      return filePath;
+    } catch (error) {
+      throw assetError(error, 'Metadata not found');
+    }
+  }
+
+  // Resolve assets/<id>/
+  async function resolveDatasetDir(id) {
+    try {
+      const { filePath } = await assets.resolveDataset(id);
+      return filePath;
+    } catch (error) {
+      throw assetError(error, 'Dataset not found');
+    }
   }
 
-  const stat = fs.statSync(videoPath);
-  const fileSize = stat.size;
-  const range = req.headers.range;
-
-  if (range) {
-    // Handle range requests for video streaming
-    const parts = range.replace(/bytes=/, "").split("-");
-    const start = parseInt(parts[0], 10);
-    const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-    const chunksize = (end - start) + 1;
-    
-    const file = fs.createReadStream(videoPath, { start, end });
-    const head = {
-      'Content-Range': `bytes ${start}-${end}/${fileSize}`,
-      'Accept-Ranges': 'bytes',
-      'Content-Length': chunksize,
-      'Content-Type': 'video/mp4',
-    };
-    
-    res.writeHead(206, head);
-    file.pipe(res);
-  } else {
-    // Send entire file
-    const head = {
-      'Content-Length': fileSize,
-      'Content-Type': 'video/mp4',
-    };
-    
-    res.writeHead(200, head);
-    fs.createReadStream(videoPath).pipe(res);
+  // Per camera video start and offset, from cameras.json or the server layout
+  // (a broken cameras.json falls back to the server layout, as in the catalog)
+  async function readStreamTiming(datasetDir) {
+    let layout = catalogOptions.cameraLayout;
+    try {
+      layout = (await readDatasetLayout(datasetDir)) || layout;
+    } catch (error) {
+      if (!(error instanceof CameraLayoutError)) throw error;
+    }
+    return streamTimingFromLayout(layout);
   }
-});
-
-// Metadata endpoint
-app.get('/metadata/:id', (req, res) => {
-  const id = req.params.id;
-  const metadataPath = path.join(__dirname, 'assets', id, 'metadata.json');
-  
-  // Check if metadata file exists
-  if (!fs.existsSync(metadataPath)) {
-    return res.status(404).json({ error: 'Metadata not found' });
+
+  // Serve the UI files (JS, CSS, etc.)
+  for (const file of PUBLIC_FILES) {
+    app.get(`/${file}`, (req, res) => {
+      res.sendFile(path.join(__dirname, file));
+    });
+  }
+
+  // Serve the browser modules
+  for (const dir of PUBLIC_DIRS) {
+    app.use(`/${dir}`, express.static(path.join(__dirname, dir), { dotfiles: 'ignore' }));
   }
-  
+
+  // Serve the main HTML page
+  app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'index.html'));
+  });
+
+  // Dataset catalog endpoint
+  app.get('/datasets', async (req, res, next) => {
+    try {
+      const datasets = await listDatasets(assetsDirs, catalogOptions);
+      res.json({ datasets });
+    } catch (error) {
+      next(toApiError(error, 'Failed to list datasets'));
+    }
+  });
+
+  // Dataset upload: multipart form with `metadata` (metadata.json) and
+  // `videos` (one file per camera); answers with the new catalog entry
+  app.post('/datasets', ...createUploadHandlers({
+    assetsRoots: assetsDirs,
+    maxFileBytes: uploadFileLimitBytes,
+    onCreated: id => describeDataset(assetsDirs[0], id, catalogOptions),
+    onCreatedError(id, error, req) {
+      logger.error({ msg: 'describing uploaded dataset failed', requestId: req.id, datasetId: id, error: error.message });
+    },
+  }), (error, req, res, next) => {
+    next(toApiError(error, 'Failed to store dataset'));
+  });
+
+  // Video streaming endpoint (GET and HEAD, with byte ranges)
+  app.get('/video/:id/:filename', async (req, res, next) => {
+    let video;
+    let contentType;
+    try {
+      video = await assets.resolveFile(req.params.id, req.params.filename);
+    } catch (error) {
+      return next(assetError(error, 'Video not found'));
+    }
+
+    try {
+      contentType = await detectVideoType(video.filePath);
+    } catch (error) {
+      return next(toApiError(error, 'Failed to read video'));
+    }
+
+    sendFileWithRanges(req, res, video.filePath, video.stat, contentType);
+  });
+
+  // Metadata endpoint, optionally projected with ?select=...&from=...&to=...
+  app.get('/metadata/:id', async (req, res, next) => {
+    try {
+      const metadataPath = await resolveMetadataPath(req.params.id);
+      const { metadata, version, responses } = await metadataCache.get(metadataPath);
+      const result = queryMetadata(metadata, req.query);
+      await sendJson(req, res, () => result, { version, variant: getQueryString(req), responses });
+    } catch (error) {
+      next(toApiError(error, 'Failed to read metadata'));
+    }
+  });
+
+  // JSON Schema of the annotation manifests served below
+  app.get('/schemas/manifest.schema.json', async (req, res, next) => {
+    try {
+      const { MANIFEST_SCHEMA } = await loadAnnotationPipeline();
+      res.type('application/schema+json').send(JSON.stringify(MANIFEST_SCHEMA));
+    } catch (error) {
+      next(toApiError(error, 'Failed to load the manifest schema'));
+    }
+  });
+
+  // Annotation manifest endpoint - runs the extractors server side so the
+  // browser only receives the (much smaller) manifest
+  app.get('/annotations/:id', async (req, res, next) => {
+    try {
+      const metadataPath = await resolveMetadataPath(req.params.id);
+      const {
+        MetadataToAnnotationConverter, Extractors, validateManifest, FilterSyntaxError,
+      } = await loadAnnotationPipeline();
+
+      const available = Object.keys(Extractors)
+        .filter(category => !annotationCategories || annotationCategories.includes(category));
+      const { categories, unknown } = parseCategories(req.query.categories, available);
+      if (unknown.length > 0) {
+        throw new ApiError(400, 'UNKNOWN_CATEGORY', `Unknown annotation categories: ${unknown.join(', ')}`, {
+          available,
+        });
+      }
+
+      // e.g. ?filter=track.meanConfidence > 0.6 and track.minDistance <= 30
+      const filters = parseFilters(req.query.filter);
+      let predicate = null;
+      try {
+        predicate = await compileFilters(filters);
+      } catch (error) {
+        if (!(error instanceof FilterSyntaxError)) throw error;
+        throw new ApiError(400, 'INVALID_FILTER', error.message, { filter: error.expression, position: error.position });
+      }
+
+      const { metadata, version, responses } = await metadataCache.get(metadataPath);
+      const streams = await readStreamTiming(path.dirname(metadataPath));
+      await sendJson(req, res, () => {
+        const manifest = MetadataToAnnotationConverter.convertToManifest(metadata, categories, {
+          streams,
+          onExtractorError(category, error) {
+            logger.error({
+              msg: 'extractor failed',
+              requestId: req.id,
+              datasetId: req.datasetId,
+              category,
+              error: error.message,
+              stack: error.stack,
+            });
+          },
+        });
+        if (!manifest) {
+          throw new Error('Failed to convert metadata');
+        }
+
+        // Drop annotations the renderers could not draw instead of failing the whole manifest
+        const errors = validateManifest(manifest.toJSON());
+        if (errors.length > 0) {
+          if (errors.some(error => !error.annotationId)) {
+            throw new Error(`Converter produced an invalid manifest: ${errors[0].path} ${errors[0].message}`);
+          }
+          for (const { annotationId } of errors) {
+            manifest.removeItem(annotationId);
+          }
+          logger.warn({
+            msg: 'invalid annotations dropped',
+            requestId: req.id,
+            datasetId: req.datasetId,
+            errors,
+          });
+        }
+        return predicate ? manifest.filter(predicate) : manifest;
+      }, {
+        version,
+        variant: `annotations:${categories.join(',')}:${JSON.stringify(streams)}:${JSON.stringify(filters)}`,
+        responses,
+      });
+    } catch (error) {
+      next(toApiError(error, 'Failed to build annotations'));
+    }
+  });
+
+  // Manual (reviewer) annotations, stored next to metadata.json
+  app.get('/annotations/:id/manual', async (req, res, next) => {
+    try {
+      const datasetDir = await resolveDatasetDir(req.params.id);
+
+      const revision = req.query.revision === undefined ? undefined : Number(req.query.revision);
+      if (revision !== undefined && !Number.isInteger(revision)) {
+        throw new ApiError(400, 'INVALID_REVISION', 'revision must be an integer');
+      }
+
+      res.json(await manualAnnotations.read(datasetDir, revision));
+    } catch (error) {
+      next(toApiError(error, 'Failed to read manual annotations'));
+    }
+  });
+
+  app.get('/annotations/:id/manual/history', async (req, res, next) => {
+    try {
+      const datasetDir = await resolveDatasetDir(req.params.id);
+      res.json({ revisions: await manualAnnotations.history(datasetDir) });
+    } catch (error) {
+      next(toApiError(error, 'Failed to read manual annotations'));
+    }
+  });
+
+  app.put('/annotations/:id/manual', express.json({ limit: JSON_BODY_LIMIT }), async (req, res, next) => {
+    try {
+      const datasetDir = await resolveDatasetDir(req.params.id);
+      res.json(await manualAnnotations.replace(datasetDir, req.body));
+    } catch (error) {
+      next(toApiError(error, 'Failed to store manual annotations'));
+    }
+  });
+
+  app.patch('/annotations/:id/manual', express.json({ limit: JSON_BODY_LIMIT }), async (req, res, next) => {
+    try {
+      const datasetDir = await resolveDatasetDir(req.params.id);
+      res.json(await manualAnnotations.patch(datasetDir, req.body));
+    } catch (error) {
+      next(toApiError(error, 'Failed to store manual annotations'));
+    }
+  });
+
+  // Live reload: Server-Sent Events whenever a file in assets/<id>/ changes
+  app.get('/events/:id', async (req, res, next) => {
+    let datasetDir;
+    try {
+      datasetDir = await resolveDatasetDir(req.params.id);
+    } catch (error) {
+      return next(error);
+    }
+
+    let unsubscribe = () => {};
+    const send = openEventStream(req, res, () => unsubscribe());
+    send('ready', { id: req.params.id });
+
+    try {
+      unsubscribe = datasetWatcher.subscribe(datasetDir, change => {
+        send('change', { id: req.params.id, ...change });
+      });
+    } catch (error) {
+      logger.error({ msg: 'watching dataset failed', requestId: req.id, datasetId: req.datasetId, error: error.message });
+      res.end();
+    }
+  });
+
+  // Renderer/extractor failures reported by the page, written to the log
+  app.post('/client-errors', express.json({ limit: CLIENT_ERROR_BODY_LIMIT }), (req, res, next) => {
+    try {
+      const report = parseClientErrorReport(req.body);
+      clientErrorCount++;
+      logger.warn({ msg: 'client error', requestId: req.id, userAgent: req.get('User-Agent'), ...report });
+      res.status(202).end();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Server status: uptime and metadata cache usage
+  app.get('/status', (req, res) => {
+    res.json({
+      uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+      metadataCache: metadataCache.stats(),
+      watchedDatasets: datasetWatcher.watchedCount(),
+      clientErrors: clientErrorCount,
+    });
+  });
+
+  // Anything else
+  app.use((req, res, next) => {
+    next(new ApiError(404, 'NOT_FOUND', `Cannot ${req.method} ${req.path}`));
+  });
+
+  // Every error ends up as {error: {code, message, datasetId, requestId}}
+  app.use(createErrorHandler(logger));
+
+  return app;
+}
+
+// Raw query string, used to tell response variants of one document apart
+function getQueryString(req) {
+  const index = req.originalUrl.indexOf('?');
+  return index === -1 ? '' : req.originalUrl.slice(index + 1);
+}
+
+// Load and validate the configuration, then start listening
+async function main() {
+  const { Extractors } = await loadAnnotationPipeline();
+
+  let config;
   try {
-    const metadata = fs.readFileSync(metadataPath, 'utf8');
-    res.json(JSON.parse(metadata));
+    config = loadConfig({
+      defaultAssetsDir: ASSETS_DIR,
+      availableCategories: Object.keys(Extractors),
+    });
   } catch (error) {
-    console.error('Error reading metadata:', error);
-    res.status(500).json({ error: 'Failed to read metadata' });
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(error.message);
+    console.error(`\n${USAGE}`);
+    process.exit(1);
   }
-});
-
-app.listen(PORT, () => {
-  console.log(`Video server running on http://localhost:${PORT}`);
-  console.log('Available videos:');
-  console.log('- /video/1/inward.mp4');
-  console.log('- /video/1/outward.mp4');
-  console.log('Available metadata:');
-  console.log('- /metadata/1');
-});
+
+  if (!config) {
+    console.log(USAGE);
+    return;
+  }
+
+  const logger = createLogger({ level: config.logLevel });
+  const app = createApp({
+    assetsDirs: config.assetsDirs,
+    metadataCacheSize: config.metadataCacheSize,
+    cameraLayout: config.cameraLayout,
+    annotationCategories: config.annotationCategories,
+    logger,
+  });
+
+  const server = app.listen(config.port, config.host ?? undefined, () => {
+    const { port } = server.address();
+    logger.info({
+      msg: 'Video server running',
+      url: `http://${config.host || 'localhost'}:${port}`,
+      assetsDirs: config.assetsDirs,
+      catalog: '/datasets',
+    });
+  });
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { createApp };
@@ -0,0 +1,89 @@
+// Server side annotation pipeline. The converter and extractors in
+// annotations/ are ES modules shared with the browser, so they are loaded
+// into this CommonJS server with a dynamic import.
+
+let pipelinePromise = null;
+
+/**
+ * Load the converter, the extractor registry, the manifest schema and the
+ * filter language (once).
+ * @returns {Promise<{MetadataToAnnotationConverter: Function, Extractors: object,
+ *   MANIFEST_SCHEMA: object, validateManifest: Function, formatValidationErrors: Function,
+ *   compileFilter: Function, FilterSyntaxError: Function}>}
+ */
+function loadAnnotationPipeline() {
+  if (!pipelinePromise) {
+    pipelinePromise = Promise.all([
+      import('../annotations/metadata-to-annotation-converter.js'),
+      import('../annotations/extractors.js'),
+      import('../annotations/manifest-schema.js'),
+      import('../annotations/manifest-filter.js'),
+    ]).then(([converterModule, extractorsModule, schemaModule, filterModule]) => ({
+      MetadataToAnnotationConverter: converterModule.MetadataToAnnotationConverter,
+      Extractors: extractorsModule.Extractors,
+      MANIFEST_SCHEMA: schemaModule.MANIFEST_SCHEMA,
+      validateManifest: schemaModule.validateManifest,
+      formatValidationErrors: schemaModule.formatValidationErrors,
+      compileFilter: filterModule.compileFilter,
+      FilterSyntaxError: filterModule.FilterSyntaxError,
+    }));
+  }
+  return pipelinePromise;
+}
+
+/**
+ * Parse a `categories=dsf,detection` query value.
+ * @param {string|string[]|undefined} value - Raw query value
+ * @param {string[]} available - Categories that have an extractor
+ * @returns {{categories: string[], unknown: string[]}} Requested categories
+ *   (all available ones when none were given) and the unknown ones
+ */
+function parseCategories(value, available) {
+  const requested = [].concat(value || [])
+    .flatMap(part => String(part).split(','))
+    .map(category => category.trim())
+    .filter(Boolean);
+
+  if (requested.length === 0) {
+    return { categories: [...available], unknown: [] };
+  }
+
+  const categories = [...new Set(requested)];
+  return {
+    categories,
+    unknown: categories.filter(category => !available.includes(category)),
+  };
+}
+
+/**
+ * Parse `filter=<expression>` query values (repeatable).
+ * @param {string|string[]|undefined} value - Raw query value
+ * @returns {string[]} Non-empty expressions
+ */
+function parseFilters(value) {
+  return [].concat(value || [])
+    .map(part => String(part).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Compile filter expressions into one predicate that requires all of
+ * them. Each is compiled on its own, so one cannot change how another
+ * is grouped.
+ * @param {string[]} expressions - From parseFilters()
+ * @returns {Promise<Function|null>} `(annotation, manifest) => boolean`, null without expressions
+ * @throws {FilterSyntaxError} For the first expression that does not parse
+ */
+async function compileFilters(expressions) {
+  if (expressions.length === 0) return null;
+  const { compileFilter } = await loadAnnotationPipeline();
+  const predicates = expressions.map(expression => compileFilter(expression));
+  return (annotation, manifest) => predicates.every(predicate => predicate(annotation, manifest));
+}
+
+module.exports = {
+  loadAnnotationPipeline,
+  parseCategories,
+  parseFilters,
+  compileFilters,
+};
@@ -0,0 +1,106 @@
+// Uniform JSON errors. Every failed API request is answered with
+//
+//   { "error": { "code": "NOT_FOUND", "message": "Video not found",
+//                "datasetId": "1", "requestId": "…", …details } }
+//
+// Route handlers pass an ApiError (or a subclass) to next(); anything else
+// reaching the error handler is logged and answered as a 500.
+
+/**
+ * Error with an HTTP status and a stable machine readable code.
+ * `details` are merged into the error envelope (e.g. currentRevision).
+ */
+class ApiError extends Error {
+  constructor(status, code, message, details = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Wrap an unexpected failure; the cause is logged, only `message` is sent.
+ * @param {string} message - Client facing message
+ * @param {Error} cause - Original error
+ * @returns {ApiError}
+ */
+function internalError(message, cause) {
+  const error = new ApiError(500, 'INTERNAL_ERROR', message);
+  error.cause = cause;
+  return error;
+}
+
+/**
+ * Pass ApiErrors through and wrap anything else with `message`.
+ * @param {Error} error - Caught error
+ * @param {string} message - Client facing message for unexpected failures
+ * @returns {ApiError}
+ */
+function toApiError(error, message) {
+  return error instanceof ApiError ? error : internalError(message, error);
+}
+
+/**
+ * Map body-parser errors to ApiErrors.
+ * @param {Error} error
+ * @returns {ApiError|null}
+ */
+function fromMiddlewareError(error) {
+  if (error.type === 'entity.parse.failed' || error.type === 'entity.too.large') {
+    return new ApiError(error.status, 'INVALID_BODY', error.message);
+  }
+  return null;
+}
+
+/**
+ * Create the final error handling middleware.
+ * @param {object} logger - See request-logging.js
+ * @returns {Function} Express error handler
+ */
+function createErrorHandler(logger) {
+  return (error, req, res, next) => {
+    if (res.headersSent) {
+      return next(error);
+    }
+
+    let apiError = error instanceof ApiError ? error : fromMiddlewareError(error);
+    if (!apiError) {
+      apiError = internalError('Internal server error', error);
+    }
+
+    if (apiError.status >= 500) {
+      const cause = apiError.cause || apiError;
+      logger.error({
+        msg: apiError.message,
+        requestId: req.id,
+        datasetId: req.datasetId,
+        error: cause.message,
+        stack: cause.stack,
+      });
+    }
+
+    // Headers set for the success response no longer apply
+    for (const header of ['ETag', 'Content-Encoding', 'Content-Length', 'Content-Disposition']) {
+      res.removeHeader(header);
+    }
+
+    res.status(apiError.status).json({
+      error: {
+        ...apiError.details,
+        code: apiError.code,
+        message: apiError.message,
+        datasetId: req.datasetId ?? null,
+        requestId: req.id,
+      },
+    });
+  };
+}
+
+module.exports = {
+  ApiError,
+  internalError,
+  toApiError,
+  createErrorHandler,
+};
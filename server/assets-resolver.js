@@ -0,0 +1,196 @@
+// Sandboxed resolution of user supplied dataset ids and file names to
+// paths inside the assets directory. Rejects traversal segments, hidden
+// files and symlinks that point outside of the assets root.
+
+const path = require('path');
+const fs = require('fs/promises');
+const { ApiError } = require('./api-error');
+
+/**
+ * Error raised when a requested asset path is rejected or missing.
+ * `status` is the HTTP status the route should answer with.
+ */
+class AssetPathError extends ApiError {
+  constructor(status, code, message) {
+    super(status, code, message);
+    this.name = 'AssetPathError';
+  }
+}
+
+/**
+ * Check a single user supplied path segment (dataset id or file name).
+ * @param {string} segment - Raw segment, already URL-decoded
+ * @throws {AssetPathError} 400 when the segment is not a plain name
+ */
+function validateSegment(segment) {
+  if (typeof segment !== 'string' || segment === '') {
+    throw new AssetPathError(400, 'INVALID_PATH', 'Empty path segment');
+  }
+  if (segment.includes('\0')) {
+    throw new AssetPathError(400, 'INVALID_PATH', 'Path contains a null byte');
+  }
+  if (segment.includes('/') || segment.includes('\\')) {
+    throw new AssetPathError(400, 'INVALID_PATH', 'Path separators are not allowed');
+  }
+  if (segment.startsWith('.')) {
+    throw new AssetPathError(400, 'INVALID_PATH', 'Relative and hidden path segments are not allowed');
+  }
+}
+
+/**
+ * Whether `target` is `root` itself or lies inside it.
+ * @param {string} root - Absolute directory
+ * @param {string} target - Absolute path
+ * @returns {boolean}
+ */
+function isInside(root, target) {
+  const relative = path.relative(root, target);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Create a resolver bound to a single assets directory.
+ * @param {string} assetsRoot - Absolute path of the assets directory
+ * @returns {{root: string, resolvePath: Function, resolveFile: Function, resolveDataset: Function}}
+ */
+function createRootResolver(assetsRoot) {
+  const root = path.resolve(assetsRoot);
+  let realRoot = null;
+
+  async function getRealRoot() {
+    if (!realRoot) {
+      realRoot = await fs.realpath(root);
+    }
+    return realRoot;
+  }
+
+  /**
+   * Validate segments and build the (unresolved) path without touching disk.
+   * @param {...string} segments - Dataset id followed by optional file name
+   * @returns {string} Absolute path inside the assets root
+   */
+  function resolvePath(...segments) {
+    segments.forEach(validateSegment);
+
+    const target = path.resolve(root, ...segments);
+    if (!isInside(root, target)) {
+      throw new AssetPathError(403, 'PATH_ESCAPE', 'Path escapes the assets directory');
+    }
+    return target;
+  }
+
+  /**
+   * Resolve segments to an existing path, following symlinks only while
+   * they stay inside the assets root.
+   * @param {...string} segments - Dataset id followed by optional file name
+   * @returns {Promise<{filePath: string, stat: import('fs').Stats}>}
+   */
+  async function resolveExisting(...segments) {
+    resolvePath(...segments);
+    const realRootPath = await getRealRoot();
+
+    // Resolve one segment at a time so a symlinked dataset folder is
+    // rejected even when the requested file does not exist behind it
+    let realTarget = realRootPath;
+    for (const segment of segments) {
+      try {
+        realTarget = await fs.realpath(path.join(realTarget, segment));
+      } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+          throw new AssetPathError(404, 'NOT_FOUND', 'Not found');
+        }
+        throw error;
+      }
+
+      if (!isInside(realRootPath, realTarget)) {
+        throw new AssetPathError(403, 'PATH_ESCAPE', 'Path escapes the assets directory');
+      }
+    }
+
+    return { filePath: realTarget, stat: await fs.stat(realTarget) };
+  }
+
+  /**
+   * Resolve a file inside a dataset folder.
+   * @param {string} id - Dataset id
+   * @param {string} filename - File name inside the dataset folder
+   * @returns {Promise<{filePath: string, stat: import('fs').Stats}>}
+   * @throws {AssetPathError} 400 invalid segment, 403 escape, 404 missing or not a file
+   */
+  async function resolveFile(id, filename) {
+    const resolved = await resolveExisting(id, filename);
+    if (!resolved.stat.isFile()) {
+      throw new AssetPathError(404, 'NOT_FOUND', 'Not found');
+    }
+    return resolved;
+  }
+
+  /**
+   * Resolve a dataset folder.
+   * @param {string} id - Dataset id
+   * @returns {Promise<{filePath: string, stat: import('fs').Stats}>}
+   * @throws {AssetPathError} 400 invalid id, 403 escape, 404 missing or not a folder
+   */
+  async function resolveDataset(id) {
+    const resolved = await resolveExisting(id);
+    if (!resolved.stat.isDirectory()) {
+      throw new AssetPathError(404, 'NOT_FOUND', 'Not found');
+    }
+    return resolved;
+  }
+
+  return { root, resolvePath, resolveFile, resolveDataset };
+}
+
+/**
+ * Create a resolver over one or more assets directories. A dataset id is
+ * looked up in each root in order and the first root holding it wins;
+ * its files are only ever looked up in that root.
+ *
+ * @example
+ * const assets = createAssetsResolver(['/data/assets', '/mnt/archive/assets']);
+ * const { filePath, stat } = await assets.resolveFile('1', 'inward.mp4');
+ *
+ * @param {string|string[]} assetsRoots - Absolute path(s) of the assets directories
+ * @returns {{root: string, roots: string[], resolvePath: Function, resolveFile: Function,
+ *   resolveDataset: Function}} `root` is the first root
+ */
+function createAssetsResolver(assetsRoots) {
+  const resolvers = [].concat(assetsRoots).map(createRootResolver);
+
+  /**
+   * Find the root resolver holding a dataset.
+   * @param {string} id - Dataset id
+   * @returns {Promise<object>} Root resolver
+   * @throws {AssetPathError} 400 invalid id, 403 escape, 404 in no root
+   */
+  async function findDatasetRoot(id) {
+    for (const resolver of resolvers) {
+      try {
+        await resolver.resolveDataset(id);
+        return resolver;
+      } catch (error) {
+        if (!(error instanceof AssetPathError && error.status === 404)) throw error;
+      }
+    }
+    throw new AssetPathError(404, 'NOT_FOUND', 'Not found');
+  }
+
+  return {
+    root: resolvers[0].root,
+    roots: resolvers.map(resolver => resolver.root),
+    resolvePath: resolvers[0].resolvePath,
+    async resolveFile(id, filename) {
+      validateSegment(filename);
+      return (await findDatasetRoot(id)).resolveFile(id, filename);
+    },
+    async resolveDataset(id) {
+      return (await findDatasetRoot(id)).resolveDataset(id);
+    },
+  };
+}
+
+module.exports = {
+  createAssetsResolver,
+  AssetPathError,
+};
@@ -0,0 +1,279 @@
+// Byte-range file responses (RFC 9110 sections 13-14) for the video route.
+// Handles single, suffix and multiple ranges, 416 for unsatisfiable ranges,
+// HEAD requests and the conditional headers browsers send while seeking
+// (If-Range, If-None-Match, If-Modified-Since, If-Match, If-Unmodified-Since).
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+/**
+ * Strong validator derived from file size and modification time.
+ * @param {fs.Stats} stat - File stats
+ * @returns {string} Quoted ETag
+ */
+function createETag(stat) {
+  return `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+}
+
+/**
+ * Parse a Range header against a representation of the given size.
+ *
+ * Returns `null` when the header should be ignored (absent, not a bytes
+ * range or syntactically invalid - the full representation is sent),
+ * `-1` when no range is satisfiable (416), or the satisfiable ranges
+ * sorted and with overlapping/adjacent ranges coalesced.
+ *
+ * @param {string|undefined} header - Raw Range header value
+ * @param {number} size - Size of the file in bytes
+ * @returns {Array<{start: number, end: number}>|null|-1}
+ */
+function parseRange(header, size) {
+  if (!header) return null;
+
+  const match = /^\s*bytes\s*=\s*(.+)$/i.exec(header);
+  if (!match) return null;
+
+  const ranges = [];
+  for (const spec of match[1].split(',')) {
+    const trimmed = spec.trim();
+    if (trimmed === '') continue;
+
+    const parts = /^(\d*)-(\d*)$/.exec(trimmed);
+    if (!parts || (parts[1] === '' && parts[2] === '')) return null;
+
+    if (parts[1] === '') {
+      // Suffix range: the last N bytes
+      const suffixLength = parseInt(parts[2], 10);
+      if (suffixLength === 0 || size === 0) continue;
+      ranges.push({ start: Math.max(size - suffixLength, 0), end: size - 1 });
+      continue;
+    }
+
+    const start = parseInt(parts[1], 10);
+    const last = parts[2] === '' ? Infinity : parseInt(parts[2], 10);
+    if (last < start) return null;
+    if (start >= size) continue;
+
+    ranges.push({ start, end: Math.min(last, size - 1) });
+  }
+
+  if (ranges.length === 0) return -1;
+
+  ranges.sort((a, b) => a.start - b.start);
+  const merged = [ranges[0]];
+  for (const range of ranges.slice(1)) {
+    const previous = merged[merged.length - 1];
+    if (range.start <= previous.end + 1) {
+      previous.end = Math.max(previous.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Parse an HTTP date header, returning NaN when invalid.
+ * @param {string|undefined} value - Header value
+ * @returns {number} Epoch milliseconds or NaN
+ */
+function parseHttpDate(value) {
+  return value ? Date.parse(value) : NaN;
+}
+
+/**
+ * Check whether an entity-tag list header matches the current ETag.
+ * @param {string} header - If-Match / If-None-Match value
+ * @param {string} etag - Current ETag
+ * @param {boolean} weak - Use weak comparison
+ * @returns {boolean}
+ */
+function etagMatches(header, etag, weak) {
+  if (header.trim() === '*') return true;
+
+  const strip = tag => tag.trim().replace(/^W\//, '');
+  return header.split(',').some(tag => {
+    const candidate = tag.trim();
+    if (!weak && candidate.startsWith('W/')) return false;
+    return strip(candidate) === etag;
+  });
+}
+
+/**
+ * Evaluate the request preconditions (RFC 9110 section 13.2.2).
+ * @param {object} headers - Request headers
+ * @param {string} etag - Current ETag
+ * @param {number} lastModifiedMs - Last-Modified truncated to seconds
+ * @returns {number|null} 412 or 304 when the request must stop there, else null
+ */
+function evaluatePreconditions(headers, etag, lastModifiedMs) {
+  if (headers['if-match']) {
+    if (!etagMatches(headers['if-match'], etag, false)) return 412;
+  } else {
+    const unmodifiedSince = parseHttpDate(headers['if-unmodified-since']);
+    if (!Number.isNaN(unmodifiedSince) && lastModifiedMs > unmodifiedSince) return 412;
+  }
+
+  if (headers['if-none-match']) {
+    if (etagMatches(headers['if-none-match'], etag, true)) return 304;
+  } else {
+    const modifiedSince = parseHttpDate(headers['if-modified-since']);
+    if (!Number.isNaN(modifiedSince) && lastModifiedMs <= modifiedSince) return 304;
+  }
+
+  return null;
+}
+
+/**
+ * Whether a Range header may be honoured given the If-Range precondition.
+ * @param {string|undefined} ifRange - If-Range header value
+ * @param {string} etag - Current ETag
+ * @param {number} lastModifiedMs - Last-Modified truncated to seconds
+ * @returns {boolean}
+ */
+function ifRangeSatisfied(ifRange, etag, lastModifiedMs) {
+  if (!ifRange) return true;
+
+  const value = ifRange.trim();
+  if (value.startsWith('"') || value.startsWith('W/')) {
+    // Strong comparison only - a weak tag never matches
+    return value === etag;
+  }
+  return parseHttpDate(value) === lastModifiedMs;
+}
+
+/**
+ * Stream a file to the response, honouring Range and conditional headers.
+ *
+ * @param {import('express').Request} req - Incoming request (GET or HEAD)
+ * @param {import('express').Response} res - Response
+ * @param {string} filePath - Absolute path of the file to send
+ * @param {fs.Stats} stat - Stats of the file
+ * @param {string} contentType - Content-Type of the file
+ */
+function sendFileWithRanges(req, res, filePath, stat, contentType) {
+  const fileSize = stat.size;
+  const etag = createETag(stat);
+  const lastModifiedMs = Math.floor(stat.mtimeMs / 1000) * 1000;
+  const isHead = req.method === 'HEAD';
+
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('ETag', etag);
+  res.setHeader('Last-Modified', new Date(lastModifiedMs).toUTCString());
+
+  const preconditionStatus = evaluatePreconditions(req.headers, etag, lastModifiedMs);
+  if (preconditionStatus) {
+    res.status(preconditionStatus).end();
+    return;
+  }
+
+  let ranges = null;
+  if (ifRangeSatisfied(req.headers['if-range'], etag, lastModifiedMs)) {
+    ranges = parseRange(req.headers.range, fileSize);
+  }
+
+  if (ranges === -1) {
+    res.writeHead(416, { 'Content-Range': `bytes */${fileSize}` });
+    res.end();
+    return;
+  }
+
+  if (!ranges) {
+    res.writeHead(200, {
+      'Content-Length': fileSize,
+      'Content-Type': contentType,
+    });
+    if (isHead) {
+      res.end();
+      return;
+    }
+    pipeFile(filePath, res);
+    return;
+  }
+
+  if (ranges.length === 1) {
+    const { start, end } = ranges[0];
+    res.writeHead(206, {
+      'Content-Range': `bytes ${start}-${end}/${fileSize}`,
+      'Content-Length': end - start + 1,
+      'Content-Type': contentType,
+    });
+    if (isHead) {
+      res.end();
+      return;
+    }
+    pipeFile(filePath, res, { start, end });
+    return;
+  }
+
+  sendMultipartRanges(res, filePath, ranges, fileSize, contentType, isHead);
+}
+
+/**
+ * Send several ranges as a multipart/byteranges body.
+ * @private
+ */
+function sendMultipartRanges(res, filePath, ranges, fileSize, contentType, isHead) {
+  const boundary = crypto.randomBytes(12).toString('hex');
+  const parts = ranges.map((range, index) => ({
+    ...range,
+    header: `${index === 0 ? '' : '\r\n'}--${boundary}\r\n` +
+            `Content-Type: ${contentType}\r\n` +
+            `Content-Range: bytes ${range.start}-${range.end}/${fileSize}\r\n\r\n`,
+  }));
+  const trailer = `\r\n--${boundary}--\r\n`;
+
+  const contentLength = parts.reduce(
+    (total, part) => total + Buffer.byteLength(part.header) + (part.end - part.start + 1),
+    Buffer.byteLength(trailer)
+  );
+
+  res.writeHead(206, {
+    'Content-Type': `multipart/byteranges; boundary=${boundary}`,
+    'Content-Length': contentLength,
+  });
+  if (isHead) {
+    res.end();
+    return;
+  }
+
+  // An aborted request must not leave the part being read open
+  let active = null;
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+    active?.destroy();
+  });
+
+  const writeNext = index => {
+    if (closed) return;
+    if (index === parts.length) {
+      res.end(trailer);
+      return;
+    }
+    const part = parts[index];
+    res.write(part.header);
+    active = fs.createReadStream(filePath, { start: part.start, end: part.end });
+    active.on('error', error => res.destroy(error));
+    active.on('end', () => writeNext(index + 1));
+    active.pipe(res, { end: false });
+  };
+  writeNext(0);
+}
+
+/**
+ * Pipe (part of) a file to the response, aborting it on read errors.
+ * @private
+ */
+function pipeFile(filePath, res, options) {
+  const stream = fs.createReadStream(filePath, options);
+  stream.on('error', error => res.destroy(error));
+  res.on('close', () => stream.destroy());
+  stream.pipe(res);
+}
+
+module.exports = {
+  sendFileWithRanges,
+  parseRange,
+  createETag,
+};
@@ -0,0 +1,177 @@
+// Camera layout - which cameras a dataset has, how they are labelled, the
+// resolution their annotations are drawn at and the order the UI shows
+// them in. The server-level layout applies to every dataset unless the
+// dataset brings its own assets/<id>/cameras.json, which replaces it:
+//
+//   { "cameras": [{ "name": "dms", "file": "dms.mp4", "label": "DMS",
+//                   "resolution": { "width": 1296, "height": 1296 } }] }
+//
+// Videos that no layout entry mentions are still listed, after the
+// configured cameras, with the camera named after the file.
+//
+// A camera can also say when its video starts in epoch milliseconds and an
+// extra offset, used to put epoch stamped metadata onto video time:
+//
+//   { "name": "outward", "videoStartEpochMs": 1752673813000, "offsetMs": 40 }
+
+const path = require('path');
+const fs = require('fs/promises');
+
+const LAYOUT_FILENAME = 'cameras.json';
+
+// Canonical resolutions, the same ones DSF_extractor.js reports pixels at
+const DEFAULT_CAMERA_LAYOUT = [
+  { name: 'inward', label: 'Inward', resolution: { width: 1280, height: 720 } },
+  { name: 'outward', label: 'Outward', resolution: { width: 1920, height: 1080 } },
+  { name: 'dms', label: 'DMS', resolution: { width: 1296, height: 1296 } },
+];
+
+/**
+ * Error raised for an invalid layout definition.
+ */
+class CameraLayoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CameraLayoutError';
+    this.code = 'INVALID_CAMERA_LAYOUT';
+  }
+}
+
+/**
+ * Check and normalize a list of camera definitions.
+ * @param {*} cameras - Candidate layout (array of camera definitions)
+ * @param {string} [source='camera layout'] - Where the layout came from, for messages
+ * @returns {object[]} [{name, file, label, resolution, order, timing?}]
+ * @throws {CameraLayoutError}
+ */
+function normalizeCameraLayout(cameras, source = 'camera layout') {
+  if (!Array.isArray(cameras)) {
+    throw new CameraLayoutError(`${source}: cameras must be an array`);
+  }
+
+  const names = new Set();
+  return cameras.map((camera, index) => {
+    const where = `${source}: cameras[${index}]`;
+    if (!camera || typeof camera !== 'object' || Array.isArray(camera)) {
+      throw new CameraLayoutError(`${where} must be an object`);
+    }
+    if (typeof camera.name !== 'string' || !/^[A-Za-z0-9][A-Za-z0-9_-]*$/.test(camera.name)) {
+      throw new CameraLayoutError(`${where}.name must be a plain camera name`);
+    }
+    if (names.has(camera.name)) {
+      throw new CameraLayoutError(`${where}.name '${camera.name}' is listed twice`);
+    }
+    names.add(camera.name);
+
+    if (camera.file !== undefined &&
+        (typeof camera.file !== 'string' || camera.file.includes('/') || camera.file.includes('\\'))) {
+      throw new CameraLayoutError(`${where}.file must be a file name in the dataset folder`);
+    }
+
+    const resolution = camera.resolution;
+    if (resolution !== undefined && resolution !== null &&
+        !(Number.isInteger(resolution.width) && resolution.width > 0 &&
+          Number.isInteger(resolution.height) && resolution.height > 0)) {
+      throw new CameraLayoutError(`${where}.resolution must be {width, height} in pixels`);
+    }
+
+    if (camera.order !== undefined && !Number.isFinite(camera.order)) {
+      throw new CameraLayoutError(`${where}.order must be a number`);
+    }
+
+    for (const key of ['videoStartEpochMs', 'offsetMs']) {
+      if (camera[key] !== undefined && !Number.isFinite(camera[key])) {
+        throw new CameraLayoutError(`${where}.${key} must be a number of milliseconds`);
+      }
+    }
+
+    const normalized = {
+      name: camera.name,
+      file: camera.file || null,
+      label: typeof camera.label === 'string' ? camera.label : camera.name,
+      resolution: resolution ? { width: resolution.width, height: resolution.height } : null,
+      order: camera.order ?? index,
+    };
+    if (camera.videoStartEpochMs !== undefined || camera.offsetMs !== undefined) {
+      normalized.timing = { videoStartEpochMs: camera.videoStartEpochMs ?? null, offsetMs: camera.offsetMs ?? 0 };
+    }
+    return normalized;
+  });
+}
+
+/**
+ * Stream timing for the annotation converter, from the cameras that declare it.
+ * @param {object[]} layout - Normalized layout
+ * @returns {Object<string, {videoStartEpochMs: number|null, offsetMs: number}>}
+ */
+function streamTimingFromLayout(layout) {
+  return Object.fromEntries(layout
+    .filter(camera => camera.timing)
+    .map(camera => [camera.name, camera.timing]));
+}
+
+/**
+ * Read assets/<id>/cameras.json.
+ * @param {string} datasetDir - Absolute dataset folder
+ * @returns {Promise<object[]|null>} Normalized layout, null when there is no file
+ * @throws {CameraLayoutError} When the file is not a valid layout
+ */
+async function readDatasetLayout(datasetDir) {
+  let text;
+  try {
+    text = await fs.readFile(path.join(datasetDir, LAYOUT_FILENAME), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new CameraLayoutError(`${LAYOUT_FILENAME}: ${error.message}`);
+  }
+  return normalizeCameraLayout(parsed?.cameras, LAYOUT_FILENAME);
+}
+
+/**
+ * Match a dataset's video files to the camera layout.
+ * @param {object[]} layout - Normalized layout
+ * @param {string[]} videoFiles - Video file names found in the dataset folder
+ * @returns {Array<{camera: object, filename: string}>} In display order
+ */
+function assignVideoFiles(layout, videoFiles) {
+  const unclaimed = new Set(videoFiles);
+  const assigned = [];
+
+  const byOrder = [...layout].sort((a, b) => a.order - b.order);
+  for (const camera of byOrder) {
+    const filename = camera.file
+      ? videoFiles.find(file => file === camera.file)
+      : videoFiles.find(file => unclaimed.has(file) && path.parse(file).name === camera.name);
+    if (!filename || !unclaimed.has(filename)) continue;
+
+    unclaimed.delete(filename);
+    assigned.push({ camera, filename });
+  }
+
+  const extras = [...unclaimed].sort((a, b) => a.localeCompare(b));
+  for (const filename of extras) {
+    const name = path.parse(filename).name;
+    assigned.push({
+      camera: { name, file: filename, label: name, resolution: null, order: Infinity },
+      filename,
+    });
+  }
+
+  return assigned;
+}
+
+module.exports = {
+  DEFAULT_CAMERA_LAYOUT,
+  CameraLayoutError,
+  normalizeCameraLayout,
+  readDatasetLayout,
+  assignVideoFiles,
+  streamTimingFromLayout,
+};
@@ -0,0 +1,49 @@
+// Failures reported by browsers (POST /client-errors). Renderer and
+// extractor exceptions only happen in the page, so the page sends them
+// here and they end up in the server log next to the request that served
+// the annotations.
+
+const { ApiError } = require('./api-error');
+
+const SOURCES = ['renderer', 'extractor', 'uncaught'];
+
+// Longer values are cut, a report is a hint and not a core dump
+const MAX_FIELD_LENGTH = 500;
+const MAX_STACK_LENGTH = 4000;
+
+/**
+ * Validate a report and keep only the known fields.
+ * @param {*} body - Parsed request body
+ * @returns {{source: string, message: string, stack?: string, category?: string,
+ *   annotationId?: string, datasetId?: string, page?: string}}
+ * @throws {ApiError} 400 when the report is malformed
+ */
+function parseClientErrorReport(body) {
+  const invalid = message => new ApiError(400, 'INVALID_REPORT', message);
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw invalid('report must be a JSON object');
+  }
+  if (!SOURCES.includes(body.source)) {
+    throw invalid(`source must be one of ${SOURCES.join(', ')}`);
+  }
+  if (typeof body.message !== 'string' || body.message.trim() === '') {
+    throw invalid('message must be a non-empty string');
+  }
+
+  const report = {
+    source: body.source,
+    message: body.message.slice(0, MAX_FIELD_LENGTH),
+  };
+  if (typeof body.stack === 'string') {
+    report.stack = body.stack.slice(0, MAX_STACK_LENGTH);
+  }
+  for (const field of ['category', 'annotationId', 'datasetId', 'page']) {
+    if (typeof body[field] === 'string' || typeof body[field] === 'number') {
+      report[field] = String(body[field]).slice(0, MAX_FIELD_LENGTH);
+    }
+  }
+  return report;
+}
+
+module.exports = { parseClientErrorReport };
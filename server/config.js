@@ -0,0 +1,301 @@
+// Server configuration. Settings are merged from, lowest priority first:
+//
+//   1. built-in defaults
+//   2. a JSON config file (--config <file>, CONFIG_FILE, or ./server.config.json)
+//   3. environment variables (PORT, HOST, ASSETS_DIRS, ...)
+//   4. command line flags (--port, --host, --assets, ...)
+//
+// and validated once at startup; every problem is reported together so a
+// broken config fails fast instead of on the first request.
+//
+//   {
+//     "port": 3000,
+//     "host": "0.0.0.0",
+//     "assetsDirs": ["./assets", "/mnt/drive-b/assets"],
+//     "metadataCacheSize": 8,
+//     "annotationCategories": ["dsf", "cross"],
+//     "cameraLayout": [{ "name": "inward", "label": "Inward" }],
+//     "logLevel": "info"
+//   }
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { normalizeCameraLayout } = require('./camera-layout');
+
+const DEFAULT_CONFIG_FILENAME = 'server.config.json';
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+const USAGE = `Usage: node server.js [options]
+
+Options:
+  --config <file>        JSON config file (default: ./${DEFAULT_CONFIG_FILENAME} when present)
+  --port <number>        Port to listen on (default: 3000)
+  --host <address>       Address to bind (default: all interfaces)
+  --assets <dir>         Assets directory; repeat for several roots, searched in order
+  --cache-size <number>  Parsed metadata documents kept in memory (default: 8)
+  --categories <list>    Enabled annotation categories, comma separated (default: all)
+  --log-level <level>    ${LOG_LEVELS.join(', ')} (default: info)
+  --help                 Show this help
+
+Environment: CONFIG_FILE, PORT, HOST, ASSETS_DIRS (separated by '${path.delimiter}'),
+METADATA_CACHE_SIZE, ANNOTATION_CATEGORIES, LOG_LEVEL`;
+
+/**
+ * Error raised for an unusable configuration; `problems` lists every issue.
+ */
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Split a comma separated list, dropping empty entries.
+ * @param {string} value
+ * @returns {string[]}
+ */
+function splitList(value, separator = ',') {
+  return value.split(separator).map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Read the JSON config file.
+ * @param {string} filePath - Absolute path
+ * @param {boolean} required - Whether a missing file is an error
+ * @returns {{settings: object, baseDir: string}|null}
+ */
+function readConfigFile(filePath, required) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT' && !required) return null;
+    throw new ConfigError([`cannot read config file ${filePath}: ${error.message}`]);
+  }
+
+  let settings;
+  try {
+    settings = JSON.parse(text);
+  } catch (error) {
+    throw new ConfigError([`config file ${filePath} is not valid JSON: ${error.message}`]);
+  }
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new ConfigError([`config file ${filePath} must contain a JSON object`]);
+  }
+  return { settings, baseDir: path.dirname(filePath) };
+}
+
+/**
+ * Settings given as environment variables.
+ * @param {object} env
+ * @returns {object}
+ */
+function fromEnv(env) {
+  const settings = {};
+  if (env.PORT !== undefined) settings.port = env.PORT;
+  if (env.HOST !== undefined) settings.host = env.HOST;
+  if (env.ASSETS_DIRS !== undefined) settings.assetsDirs = splitList(env.ASSETS_DIRS, path.delimiter);
+  if (env.METADATA_CACHE_SIZE !== undefined) settings.metadataCacheSize = env.METADATA_CACHE_SIZE;
+  if (env.ANNOTATION_CATEGORIES !== undefined) settings.annotationCategories = splitList(env.ANNOTATION_CATEGORIES);
+  if (env.LOG_LEVEL !== undefined) settings.logLevel = env.LOG_LEVEL;
+  return settings;
+}
+
+/**
+ * Settings given as command line flags.
+ * @param {object} values - parseArgs values
+ * @returns {object}
+ */
+function fromFlags(values) {
+  const settings = {};
+  if (values.port !== undefined) settings.port = values.port;
+  if (values.host !== undefined) settings.host = values.host;
+  if (values.assets !== undefined) settings.assetsDirs = values.assets;
+  if (values['cache-size'] !== undefined) settings.metadataCacheSize = values['cache-size'];
+  if (values.categories !== undefined) settings.annotationCategories = splitList(values.categories);
+  if (values['log-level'] !== undefined) settings.logLevel = values['log-level'];
+  return settings;
+}
+
+/**
+ * Parse an integer setting that may arrive as a string (env, flags).
+ * @returns {number|undefined} undefined when invalid
+ */
+function toInteger(value) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  return Number.isInteger(number) ? number : undefined;
+}
+
+/**
+ * Validate merged settings and fill in the defaults.
+ * @param {object} settings - Merged settings; relative assetsDirs are already absolute
+ * @param {object} options
+ * @param {string[]} [options.availableCategories] - Categories that have an extractor
+ * @returns {object} Normalized config
+ * @throws {ConfigError}
+ */
+function validateConfig(settings, { availableCategories } = {}) {
+  const problems = [];
+  const known = ['port', 'host', 'assetsDirs', 'metadataCacheSize', 'annotationCategories', 'cameraLayout', 'logLevel'];
+  for (const key of Object.keys(settings)) {
+    if (!known.includes(key)) {
+      problems.push(`unknown setting '${key}' (expected one of ${known.join(', ')})`);
+    }
+  }
+
+  const port = toInteger(settings.port ?? 3000);
+  if (port === undefined || port < 0 || port > 65535) {
+    problems.push(`port must be an integer between 0 and 65535, got ${JSON.stringify(settings.port)}`);
+  }
+
+  const host = settings.host ?? null;
+  if (host !== null && (typeof host !== 'string' || host.trim() === '')) {
+    problems.push('host must be a non-empty string');
+  }
+
+  const assetsDirs = settings.assetsDirs;
+  if (!Array.isArray(assetsDirs) || assetsDirs.length === 0) {
+    problems.push('assetsDirs must list at least one directory');
+  } else {
+    for (const dir of assetsDirs) {
+      if (typeof dir !== 'string' || dir === '') {
+        problems.push(`assetsDirs entries must be paths, got ${JSON.stringify(dir)}`);
+        continue;
+      }
+      let stat = null;
+      try {
+        stat = fs.statSync(dir);
+      } catch (error) {
+        problems.push(`assets directory ${dir} does not exist`);
+        continue;
+      }
+      if (!stat.isDirectory()) {
+        problems.push(`assets directory ${dir} is not a directory`);
+      }
+    }
+  }
+
+  const metadataCacheSize = toInteger(settings.metadataCacheSize ?? 8);
+  if (metadataCacheSize === undefined || metadataCacheSize < 1) {
+    problems.push(`metadataCacheSize must be a positive integer, got ${JSON.stringify(settings.metadataCacheSize)}`);
+  }
+
+  const annotationCategories = settings.annotationCategories ?? null;
+  if (annotationCategories !== null) {
+    if (!Array.isArray(annotationCategories) || annotationCategories.length === 0 ||
+        annotationCategories.some(category => typeof category !== 'string')) {
+      problems.push('annotationCategories must be a non-empty list of category names');
+    } else if (availableCategories) {
+      const unknown = annotationCategories.filter(category => !availableCategories.includes(category));
+      if (unknown.length > 0) {
+        problems.push(`annotationCategories: unknown ${unknown.join(', ')} (available: ${availableCategories.join(', ')})`);
+      }
+    }
+  }
+
+  let cameraLayout;
+  if (settings.cameraLayout !== undefined) {
+    try {
+      cameraLayout = normalizeCameraLayout(settings.cameraLayout, 'cameraLayout');
+    } catch (error) {
+      problems.push(error.message);
+    }
+  }
+
+  const logLevel = settings.logLevel ?? 'info';
+  if (!LOG_LEVELS.includes(logLevel)) {
+    problems.push(`logLevel must be one of ${LOG_LEVELS.join(', ')}, got ${JSON.stringify(logLevel)}`);
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  return {
+    port,
+    host,
+    assetsDirs,
+    metadataCacheSize,
+    annotationCategories,
+    cameraLayout,
+    logLevel,
+  };
+}
+
+/**
+ * Load the server configuration.
+ *
+ * @example
+ * const config = loadConfig({ argv: ['--assets', '/mnt/a', '--assets', '/mnt/b'] });
+ *
+ * @param {object} [options={}]
+ * @param {string[]} [options.argv] - Command line arguments (default: process.argv.slice(2))
+ * @param {object} [options.env] - Environment (default: process.env)
+ * @param {string} [options.cwd] - Base for relative paths given as flags/env (default: process.cwd())
+ * @param {string} [options.defaultAssetsDir] - Used when no assets directory is configured
+ * @param {string[]} [options.availableCategories] - Categories that have an extractor
+ * @returns {object|null} Normalized config, null when --help was requested
+ * @throws {ConfigError}
+ */
+function loadConfig({
+  argv = process.argv.slice(2),
+  env = process.env,
+  cwd = process.cwd(),
+  defaultAssetsDir,
+  availableCategories,
+} = {}) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      options: {
+        config: { type: 'string' },
+        port: { type: 'string' },
+        host: { type: 'string' },
+        assets: { type: 'string', multiple: true },
+        'cache-size': { type: 'string' },
+        categories: { type: 'string' },
+        'log-level': { type: 'string' },
+        help: { type: 'boolean' },
+      },
+    }));
+  } catch (error) {
+    throw new ConfigError([error.message]);
+  }
+
+  if (values.help) {
+    return null;
+  }
+
+  // Relative assets paths are resolved against the file that names them
+  const resolveDirs = (dirs, baseDir) => dirs.map(dir => (typeof dir === 'string' ? path.resolve(baseDir, dir) : dir));
+
+  const configPath = values.config || env.CONFIG_FILE;
+  const file = readConfigFile(path.resolve(cwd, configPath || DEFAULT_CONFIG_FILENAME), Boolean(configPath));
+
+  const settings = { assetsDirs: defaultAssetsDir ? [defaultAssetsDir] : undefined };
+  if (file) {
+    Object.assign(settings, file.settings);
+    if (Array.isArray(file.settings.assetsDirs)) {
+      settings.assetsDirs = resolveDirs(file.settings.assetsDirs, file.baseDir);
+    }
+  }
+  for (const overrides of [fromEnv(env), fromFlags(values)]) {
+    Object.assign(settings, overrides);
+    if (overrides.assetsDirs) {
+      settings.assetsDirs = resolveDirs(overrides.assetsDirs, cwd);
+    }
+  }
+
+  return validateConfig(settings, { availableCategories });
+}
+
+module.exports = {
+  loadConfig,
+  validateConfig,
+  ConfigError,
+  USAGE,
+};
@@ -0,0 +1,244 @@
+// POST /datasets - upload camera videos plus metadata.json as a new
+// dataset. Files are streamed into a staging folder inside the assets
+// directory, validated, and the folder is renamed to assets/<new id> in
+// one step, so a dataset is either complete or absent. The staging folder
+// is removed on any failure.
+
+const path = require('path');
+const fs = require('fs/promises');
+const crypto = require('crypto');
+const multer = require('multer');
+const { VIDEO_EXTENSIONS } = require('./media-types');
+const { ApiError } = require('./api-error');
+const { listDatasetIds } = require('./datasets');
+
+// Hidden, so neither the catalog nor the asset routes ever see it
+const STAGING_DIRNAME = '.uploads';
+const MAX_VIDEO_FILES = 8;
+
+/**
+ * Error raised for rejected uploads; `status` is the HTTP status.
+ */
+class DatasetUploadError extends ApiError {
+  constructor(status, code, message) {
+    super(status, code, message);
+    this.name = 'DatasetUploadError';
+  }
+}
+
+/**
+ * Check the parts of metadata.json the extractors rely on.
+ * @param {*} metadata - Parsed metadata.json
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateMetadataStructure(metadata) {
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  if (!isObject(metadata)) {
+    return ['metadata.json must contain a JSON object'];
+  }
+
+  const problems = [];
+  const inferenceData = metadata.inference_data;
+  if (inferenceData === undefined) return problems;
+  if (!isObject(inferenceData)) {
+    return ['inference_data must be an object'];
+  }
+
+  const observationsData = inferenceData.observations_data;
+  if (observationsData === undefined) return problems;
+  if (!isObject(observationsData)) {
+    return ['inference_data.observations_data must be an object'];
+  }
+
+  const laneCalParams = observationsData.laneCalibrationParams;
+  if (laneCalParams !== undefined &&
+      !(Array.isArray(laneCalParams) && laneCalParams.length >= 4 &&
+        Array.isArray(laneCalParams[0]) && Array.isArray(laneCalParams[2]) &&
+        typeof laneCalParams[3] === 'number')) {
+    problems.push('laneCalibrationParams must be [vanishingPoint, _, xIntercepts, imageHeight]');
+  }
+
+  for (const key of ['carBoxTrackerList', 'carBoxTrackerListCompressed']) {
+    const frames = observationsData[key];
+    if (frames === undefined) continue;
+
+    if (!Array.isArray(frames)) {
+      problems.push(`${key} must be an array of [timestamp, detections] frames`);
+      continue;
+    }
+    const badIndex = frames.findIndex(frame =>
+      !Array.isArray(frame) || typeof frame[0] !== 'number' || !Array.isArray(frame[1])
+    );
+    if (badIndex !== -1) {
+      problems.push(`${key}[${badIndex}] must be a [timestamp, detections] frame`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Check a client supplied video file name.
+ * @param {string} filename - Original file name
+ * @returns {boolean}
+ */
+function isAcceptedVideoName(filename) {
+  return /^[A-Za-z0-9][A-Za-z0-9_-]*\.[A-Za-z0-9]+$/.test(filename) &&
+    VIDEO_EXTENSIONS.includes(path.extname(filename).toLowerCase());
+}
+
+/**
+ * Next numeric dataset id that is free in every assets directory.
+ * @param {string[]} assetsRoots - Absolute assets directories
+ * @returns {Promise<number>}
+ */
+async function nextDatasetId(assetsRoots) {
+  const ids = [];
+  for (const assetsRoot of assetsRoots) {
+    const names = await listDatasetIds(assetsRoot);
+    ids.push(...names.filter(name => /^\d+$/.test(name)).map(name => parseInt(name, 10)));
+  }
+  return ids.length === 0 ? 1 : Math.max(...ids) + 1;
+}
+
+/**
+ * Move a complete staging folder to the next free assets/<id>.
+ * @param {string[]} assetsRoots - Absolute assets directories, uploads go to the first
+ * @param {string} stagingDir - Folder holding the validated files
+ * @returns {Promise<string>} The allocated id
+ */
+async function publishDataset(assetsRoots, stagingDir) {
+  const assetsRoot = assetsRoots[0];
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const id = String(await nextDatasetId(assetsRoots));
+    try {
+      await fs.rename(stagingDir, path.join(assetsRoot, id));
+      return id;
+    } catch (error) {
+      // Another upload took this id first
+      if (error.code !== 'EEXIST' && error.code !== 'ENOTEMPTY') throw error;
+    }
+  }
+  throw new DatasetUploadError(503, 'ID_ALLOCATION_FAILED', 'Could not allocate a dataset id');
+}
+
+/**
+ * Create the upload middleware chain for POST /datasets.
+ *
+ * Form fields: `metadata` (one metadata.json file) and `videos` (one file
+ * per camera, named after the camera, e.g. inward.mp4).
+ *
+ * @param {object} options
+ * @param {string[]} options.assetsRoots - Absolute assets directories; uploads are
+ *   stored in the first, ids are kept unique across all of them
+ * @param {number} options.maxFileBytes - Size limit per uploaded file
+ * @param {Function} options.onCreated - async (id) => response body for the new dataset
+ * @param {Function} [options.onCreatedError] - (id, error, req) called when onCreated
+ *   fails; the dataset exists by then, so the response is still 201 with `{ id }`
+ * @returns {Function[]} Express handlers
+ */
+function createUploadHandlers({ assetsRoots, maxFileBytes, onCreated, onCreatedError = () => {} }) {
+  const storage = multer.diskStorage({
+    destination(req, file, callback) {
+      callback(null, req.uploadStagingDir);
+    },
+    filename(req, file, callback) {
+      callback(null, file.fieldname === 'metadata' ? 'metadata.json' : file.originalname);
+    },
+  });
+
+  const upload = multer({
+    storage,
+    limits: { fileSize: maxFileBytes, files: MAX_VIDEO_FILES + 1, fields: 0 },
+    fileFilter(req, file, callback) {
+      if (file.fieldname === 'videos' && !isAcceptedVideoName(file.originalname)) {
+        return callback(new DatasetUploadError(400, 'INVALID_FILENAME',
+          `'${file.originalname}' is not an accepted camera video name (e.g. inward.mp4)`));
+      }
+      const seen = req.uploadFilenames || (req.uploadFilenames = new Set());
+      const filename = file.fieldname === 'metadata' ? 'metadata.json' : file.originalname;
+      if (seen.has(filename)) {
+        return callback(new DatasetUploadError(400, 'DUPLICATE_FILE', `'${filename}' was uploaded twice`));
+      }
+      seen.add(filename);
+      callback(null, true);
+    },
+  }).fields([
+    { name: 'metadata', maxCount: 1 },
+    { name: 'videos', maxCount: MAX_VIDEO_FILES },
+  ]);
+
+  async function createStagingDir(req, res, next) {
+    try {
+      const stagingRoot = path.join(assetsRoots[0], STAGING_DIRNAME);
+      await fs.mkdir(stagingRoot, { recursive: true });
+      req.uploadStagingDir = path.join(stagingRoot, crypto.randomUUID());
+      await fs.mkdir(req.uploadStagingDir);
+      // Nothing is left once the dataset was published; otherwise this
+      // drops whatever part of a failed or aborted upload was written
+      res.on('close', () => {
+        fs.rm(req.uploadStagingDir, { recursive: true, force: true }).catch(() => {});
+      });
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  function receiveFiles(req, res, next) {
+    upload(req, res, error => {
+      if (!error) return next();
+
+      if (error instanceof multer.MulterError) {
+        const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+        return next(new DatasetUploadError(status, error.code, `${error.message}${error.field ? ` (${error.field})` : ''}`));
+      }
+      next(error);
+    });
+  }
+
+  async function publish(req, res, next) {
+    try {
+      const files = req.files || {};
+      if (!files.metadata) {
+        throw new DatasetUploadError(400, 'MISSING_METADATA', 'A metadata file is required');
+      }
+      if (!files.videos) {
+        throw new DatasetUploadError(400, 'MISSING_VIDEOS', 'At least one camera video is required');
+      }
+
+      let metadata;
+      try {
+        metadata = JSON.parse(await fs.readFile(files.metadata[0].path, 'utf8'));
+      } catch (error) {
+        throw new DatasetUploadError(400, 'INVALID_METADATA', `metadata.json is not valid JSON: ${error.message}`);
+      }
+      const problems = validateMetadataStructure(metadata);
+      if (problems.length > 0) {
+        throw new DatasetUploadError(400, 'INVALID_METADATA', problems.join('; '));
+      }
+
+      const id = await publishDataset(assetsRoots, req.uploadStagingDir);
+      let body;
+      try {
+        body = await onCreated(id);
+      } catch (error) {
+        // Failing here would make the client retry and upload the dataset twice
+        onCreatedError(id, error, req);
+        body = { id };
+      }
+      res.status(201).json(body);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  return [createStagingDir, receiveFiles, publish];
+}
+
+module.exports = {
+  createUploadHandlers,
+  validateMetadataStructure,
+  DatasetUploadError,
+};
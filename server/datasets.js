@@ -0,0 +1,223 @@
+// Dataset catalog - scans the assets directory and describes each dataset
+// folder (assets/<id>/) so the UI can list them instead of guessing ids.
+
+const path = require('path');
+const fs = require('fs/promises');
+const { VIDEO_EXTENSIONS, detectVideoType } = require('./media-types');
+const {
+  DEFAULT_CAMERA_LAYOUT,
+  CameraLayoutError,
+  normalizeCameraLayout,
+  readDatasetLayout,
+  assignVideoFiles,
+} = require('./camera-layout');
+
+const METADATA_FILENAME = 'metadata.json';
+const DEFAULT_LAYOUT = normalizeCameraLayout(DEFAULT_CAMERA_LAYOUT);
+
+// Datasets described at the same time while building the catalog
+const CATALOG_CONCURRENCY = 8;
+
+/**
+ * Collect the first/last frame timestamps found in the per-frame arrays
+ * of a metadata document.
+ * @param {object} metadata - Parsed metadata.json
+ * @returns {{startMs: number, endMs: number, frameCount: number}|null}
+ */
+function getTimestampRange(metadata) {
+  const observationsData = metadata?.inference_data?.observations_data || {};
+  const frames = observationsData.carBoxTrackerListCompressed ||
+                 observationsData.carBoxTrackerList || [];
+
+  let startMs = Infinity;
+  let endMs = -Infinity;
+  let frameCount = 0;
+
+  for (const frame of frames) {
+    const timestamp = Array.isArray(frame) ? frame[0] : null;
+    if (typeof timestamp !== 'number') continue;
+
+    startMs = Math.min(startMs, timestamp);
+    endMs = Math.max(endMs, timestamp);
+    frameCount++;
+  }
+
+  if (frameCount === 0) return null;
+  return { startMs, endMs, frameCount };
+}
+
+/**
+ * Describe the metadata.json of a dataset, if there is one.
+ * @param {string} metadataPath - Absolute path to metadata.json
+ * @param {Map<string, object>|null} [summaries] - Summaries by path, reused while
+ *   the file's size and mtime are unchanged so the catalog does not parse
+ *   every metadata.json on every request
+ * @returns {Promise<object>} Metadata summary
+ */
+async function describeMetadata(metadataPath, summaries = null) {
+  let stat;
+  try {
+    stat = await fs.stat(metadataPath);
+  } catch (error) {
+    summaries?.delete(metadataPath);
+    return { present: false };
+  }
+
+  const version = `${stat.size}-${stat.mtimeMs}`;
+  const cached = summaries?.get(metadataPath);
+  if (cached && cached.version === version) {
+    return cached.summary;
+  }
+
+  const summary = {
+    present: true,
+    sizeBytes: stat.size,
+    timestampRange: null,
+  };
+
+  try {
+    const metadata = JSON.parse(await fs.readFile(metadataPath, 'utf8'));
+    summary.alertId = metadata.alertId || null;
+    summary.timestampRange = getTimestampRange(metadata);
+    summary.hasLaneCalibration = Boolean(
+      metadata?.inference_data?.observations_data?.laneCalibrationParams
+    );
+  } catch (error) {
+    summary.error = `Failed to parse metadata: ${error.message}`;
+  }
+
+  summaries?.set(metadataPath, { version, summary });
+  return summary;
+}
+
+/**
+ * Build the catalog entry for a single dataset folder.
+ * @param {string} assetsRoot - Absolute path to the assets directory
+ * @param {string} id - Dataset id (folder name)
+ * @param {object} [options={}]
+ * @param {object[]} [options.cameraLayout] - Normalized server camera layout
+ * @param {Map<string, object>} [options.metadataSummaries] - Metadata summary cache,
+ *   see describeMetadata()
+ * @returns {Promise<object>} Catalog entry, cameras in display order
+ */
+async function describeDataset(assetsRoot, id, { cameraLayout = DEFAULT_LAYOUT, metadataSummaries = null } = {}) {
+  const datasetDir = path.join(assetsRoot, id);
+  const entries = await fs.readdir(datasetDir, { withFileTypes: true });
+
+  const videoFiles = entries
+    .filter(entry => entry.isFile() && VIDEO_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()))
+    .map(entry => entry.name);
+
+  // A broken cameras.json falls back to the server layout
+  let layout = cameraLayout;
+  let layoutSource = 'server';
+  let layoutError;
+  try {
+    const datasetLayout = await readDatasetLayout(datasetDir);
+    if (datasetLayout) {
+      layout = datasetLayout;
+      layoutSource = 'dataset';
+    }
+  } catch (error) {
+    if (!(error instanceof CameraLayoutError)) throw error;
+    layoutError = error.message;
+  }
+
+  const cameras = [];
+  for (const { camera, filename } of assignVideoFiles(layout, videoFiles)) {
+    const filePath = path.join(datasetDir, filename);
+    const stat = await fs.stat(filePath);
+    cameras.push({
+      name: camera.name,
+      label: camera.label,
+      filename,
+      sizeBytes: stat.size,
+      contentType: await detectVideoType(filePath),
+      resolution: camera.resolution,
+      url: `/video/${encodeURIComponent(id)}/${encodeURIComponent(filename)}`,
+    });
+  }
+
+  const entry = {
+    id,
+    cameras,
+    layoutSource,
+    metadata: await describeMetadata(path.join(datasetDir, METADATA_FILENAME), metadataSummaries),
+  };
+  if (layoutError) {
+    entry.layoutError = layoutError;
+  }
+  return entry;
+}
+
+/**
+ * List the dataset ids in one assets directory.
+ * @param {string} assetsRoot - Absolute path to the assets directory
+ * @returns {Promise<string[]>}
+ */
+async function listDatasetIds(assetsRoot) {
+  let entries;
+  try {
+    entries = await fs.readdir(assetsRoot, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  return entries
+    .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+    .map(entry => entry.name);
+}
+
+/**
+ * Scan the assets directories and describe every dataset in them. An id
+ * found in several roots is listed once, from the first root (the same
+ * folder the asset routes serve). A dataset removed while it is being
+ * described is left out.
+ * @param {string|string[]} assetsRoots - Absolute path(s) to the assets directories
+ * @param {object} [options={}] - Passed to describeDataset
+ * @returns {Promise<object[]>} Catalog entries sorted by id
+ */
+async function listDatasets(assetsRoots, options = {}) {
+  const rootById = new Map();
+  for (const assetsRoot of [].concat(assetsRoots)) {
+    for (const id of await listDatasetIds(assetsRoot)) {
+      if (!rootById.has(id)) {
+        rootById.set(id, assetsRoot);
+      }
+    }
+  }
+
+  const ids = [...rootById.keys()].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+  // Forget datasets that are gone
+  if (options.metadataSummaries) {
+    const current = new Set(ids.map(id => path.join(rootById.get(id), id, METADATA_FILENAME)));
+    for (const metadataPath of options.metadataSummaries.keys()) {
+      if (!current.has(metadataPath)) options.metadataSummaries.delete(metadataPath);
+    }
+  }
+
+  const datasets = new Array(ids.length);
+  let next = 0;
+  async function worker() {
+    while (next < ids.length) {
+      const index = next++;
+      try {
+        datasets[index] = await describeDataset(rootById.get(ids[index]), ids[index], options);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        datasets[index] = null;
+      }
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(CATALOG_CONCURRENCY, ids.length) }, worker));
+  return datasets.filter(Boolean);
+}
+
+module.exports = {
+  listDatasets,
+  listDatasetIds,
+  describeDataset,
+  getTimestampRange,
+};
@@ -0,0 +1,123 @@
+// JSON responses with ETag revalidation and gzip/brotli compression.
+// Large metadata documents are serialized and compressed once per
+// variant; repeat requests are served from the per-document store.
+
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const brotliCompress = promisify(zlib.brotliCompress);
+const gzip = promisify(zlib.gzip);
+
+// Bodies smaller than this are sent uncompressed
+const MIN_COMPRESS_BYTES = 1024;
+
+// Preferred first when the client accepts several encodings equally
+const ENCODINGS = ['br', 'gzip', 'identity'];
+
+/**
+ * Pick the response encoding from an Accept-Encoding header.
+ * @param {string|undefined} header - Accept-Encoding value
+ * @returns {'br'|'gzip'|'identity'}
+ */
+function negotiateEncoding(header) {
+  if (!header) return 'identity';
+
+  const weights = {};
+  for (const part of header.split(',')) {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    if (!name) continue;
+
+    const qParam = params.map(param => param.trim()).find(param => param.startsWith('q='));
+    weights[name] = qParam ? parseFloat(qParam.slice(2)) || 0 : 1;
+  }
+
+  let best = 'identity';
+  let bestWeight = 0;
+  for (const encoding of ENCODINGS) {
+    const weight = weights[encoding] ?? weights['*'] ?? (encoding === 'identity' ? 0.001 : 0);
+    if (weight > bestWeight) {
+      best = encoding;
+      bestWeight = weight;
+    }
+  }
+  return best;
+}
+
+/**
+ * Encode a body.
+ * @param {Buffer} buffer - Serialized JSON
+ * @param {string} encoding - Negotiated encoding
+ * @returns {Promise<Buffer>}
+ */
+function encode(buffer, encoding) {
+  if (encoding === 'br') {
+    return brotliCompress(buffer, {
+      params: {
+        // Default quality (11) is far too slow for tens of megabytes
+        [zlib.constants.BROTLI_PARAM_QUALITY]: 5,
+        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: buffer.length,
+      },
+    });
+  }
+  if (encoding === 'gzip') {
+    return gzip(buffer);
+  }
+  return Promise.resolve(buffer);
+}
+
+/**
+ * Short stable hash used to tell response variants apart in ETags.
+ * @param {string} value
+ * @returns {string}
+ */
+function variantHash(value) {
+  return crypto.createHash('sha1').update(value).digest('hex').slice(0, 12);
+}
+
+/**
+ * Send a JSON value with an ETag, answering 304 when the client copy is
+ * fresh, and compressing the body when the client allows it.
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {Function} produce - Returns the value to serialize; only called
+ *   when the body is not already in `responses`
+ * @param {object} options
+ * @param {string} options.version - Version of the source document
+ * @param {string} [options.variant=''] - What distinguishes this response
+ *   from others built from the same document (e.g. the query string)
+ * @param {Map<string, object>} [options.responses] - Store for encoded bodies
+ */
+async function sendJson(req, res, produce, { version, variant = '', responses }) {
+  const encoding = negotiateEncoding(req.headers['accept-encoding']);
+
+  res.setHeader('Vary', 'Accept-Encoding');
+  res.setHeader('ETag', `"${version}-${variantHash(variant)}-${encoding}"`);
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+
+  if (req.fresh) {
+    res.status(304).end();
+    return;
+  }
+
+  const cacheKey = `${variant}\n${encoding}`;
+  let body = responses?.get(cacheKey);
+  if (!body) {
+    const json = Buffer.from(JSON.stringify(produce()));
+    const bodyEncoding = json.length < MIN_COMPRESS_BYTES ? 'identity' : encoding;
+    body = { encoding: bodyEncoding, buffer: await encode(json, bodyEncoding) };
+    responses?.set(cacheKey, body);
+  }
+
+  if (body.encoding !== 'identity') {
+    res.setHeader('Content-Encoding', body.encoding);
+  }
+  res.setHeader('Content-Length', body.buffer.length);
+  res.status(200).end(req.method === 'HEAD' ? undefined : body.buffer);
+}
+
+module.exports = {
+  sendJson,
+  negotiateEncoding,
+};
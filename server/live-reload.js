@@ -0,0 +1,120 @@
+// Change notifications for dataset folders, pushed to browsers with
+// Server-Sent Events. One fs.watch per watched folder is shared by every
+// open event stream and closed when the last stream goes away.
+
+const fs = require('fs');
+const path = require('path');
+
+// Writers touch a file several times while regenerating it
+const DEBOUNCE_MS = 250;
+// Keeps proxies from closing idle streams
+const HEARTBEAT_MS = 25000;
+
+/**
+ * What kind of dataset file changed, so clients can ignore the rest.
+ * @param {string} filename - Changed file name
+ * @returns {'metadata'|'manual-annotations'|'video'|'other'}
+ */
+function classifyFile(filename) {
+  if (filename === 'metadata.json') return 'metadata';
+  if (filename.startsWith('manual-annotations')) return 'manual-annotations';
+  if (/\.(mp4|m4v|webm|mov|mkv)$/i.test(filename)) return 'video';
+  return 'other';
+}
+
+/**
+ * Create the folder watcher registry.
+ * @returns {{subscribe: Function, watchedCount: Function, close: Function}}
+ */
+function createDatasetWatcher() {
+  // datasetDir -> { watcher, listeners: Set, timers: Map<filename, Timeout> }
+  const watched = new Map();
+
+  function notify(entry, filename) {
+    clearTimeout(entry.timers.get(filename));
+    entry.timers.set(filename, setTimeout(() => {
+      entry.timers.delete(filename);
+      const change = { file: filename, kind: classifyFile(filename), at: new Date().toISOString() };
+      for (const listener of entry.listeners) {
+        listener(change);
+      }
+    }, DEBOUNCE_MS));
+  }
+
+  function stopWatching(datasetDir) {
+    const entry = watched.get(datasetDir);
+    if (!entry) return;
+
+    entry.watcher.close();
+    entry.timers.forEach(timer => clearTimeout(timer));
+    watched.delete(datasetDir);
+  }
+
+  /**
+   * Call `listener` with {file, kind, at} whenever a file in the folder changes.
+   * @param {string} datasetDir - Absolute dataset folder
+   * @param {Function} listener - Change callback
+   * @returns {Function} Unsubscribe
+   */
+  function subscribe(datasetDir, listener) {
+    let entry = watched.get(datasetDir);
+    if (!entry) {
+      entry = { listeners: new Set(), timers: new Map() };
+      entry.watcher = fs.watch(datasetDir, (eventType, filename) => {
+        if (filename && !filename.endsWith('.tmp')) {
+          notify(entry, path.basename(filename));
+        }
+      });
+      entry.watcher.on('error', error => {
+        console.error(`Stopped watching ${datasetDir}:`, error);
+        stopWatching(datasetDir);
+      });
+      watched.set(datasetDir, entry);
+    }
+
+    entry.listeners.add(listener);
+    return () => {
+      entry.listeners.delete(listener);
+      if (entry.listeners.size === 0 && watched.get(datasetDir) === entry) {
+        stopWatching(datasetDir);
+      }
+    };
+  }
+
+  function close() {
+    [...watched.keys()].forEach(stopWatching);
+  }
+
+  return { subscribe, watchedCount: () => watched.size, close };
+}
+
+/**
+ * Turn a response into an SSE stream.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {Function} onClose - Called once when the client disconnects
+ * @returns {Function} send(event, data)
+ */
+function openEventStream(req, res, onClose) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.write('retry: 2000\n\n');
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    onClose();
+  });
+
+  return (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+}
+
+module.exports = {
+  createDatasetWatcher,
+  openEventStream,
+};
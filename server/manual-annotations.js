@@ -0,0 +1,268 @@
+// Reviewer annotations stored next to a dataset's metadata.json.
+//
+//   assets/<id>/manual-annotations.json              current revision
+//   assets/<id>/manual-annotations.history/<n>.json  every prior revision
+//
+// Writes are optimistic: the client sends the revision it edited and the
+// write is rejected with 409 when the stored revision moved on meanwhile.
+
+const path = require('path');
+const fs = require('fs/promises');
+const { ApiError } = require('./api-error');
+const { loadAnnotationPipeline } = require('./annotations');
+
+const CURRENT_FILENAME = 'manual-annotations.json';
+const HISTORY_DIRNAME = 'manual-annotations.history';
+
+/**
+ * Error raised for rejected reads/writes; `status` is the HTTP status.
+ */
+class ManualAnnotationsError extends ApiError {
+  constructor(status, code, message, details = {}) {
+    super(status, code, message, details);
+    this.name = 'ManualAnnotationsError';
+  }
+}
+
+/**
+ * Document returned before anything was saved for a dataset.
+ * @returns {object}
+ */
+function emptyDocument() {
+  return {
+    revision: 0,
+    updatedAt: null,
+    author: null,
+    manifest: { version: '1.0', metadata: { source: 'manual' }, items: {} },
+  };
+}
+
+/**
+ * Check a serialized AnnotationManifest against the manifest JSON Schema.
+ * @param {*} manifest - Candidate manifest JSON
+ * @throws {ManualAnnotationsError} 400 with every error (JSON path and annotation id) in `errors`
+ */
+async function validateManifestJSON(manifest) {
+  const { validateManifest, formatValidationErrors } = await loadAnnotationPipeline();
+  const errors = validateManifest(manifest);
+  if (errors.length > 0) {
+    throw new ManualAnnotationsError(400, 'INVALID_MANIFEST',
+      `Invalid manifest: ${formatValidationErrors(errors)[0]}`, { errors });
+  }
+}
+
+/**
+ * Record who wrote the annotations that do not say where they came from.
+ * @param {object} manifest - Validated manifest JSON (not modified)
+ * @param {string|null} author - Author of the revision
+ * @returns {object} Manifest whose annotations all carry `provenance`
+ */
+function stampProvenance(manifest, author) {
+  const provenance = author ? { source: 'manual', author } : { source: 'manual' };
+  const items = {};
+  for (const [category, annotations] of Object.entries(manifest.items)) {
+    items[category] = annotations.map(annotation =>
+      (annotation.provenance ? annotation : { ...annotation, provenance: { ...provenance } }));
+  }
+  return { ...manifest, items };
+}
+
+/**
+ * Apply a JSON Merge Patch (RFC 7396).
+ * @param {*} target - Document to patch (not modified)
+ * @param {*} patch - Merge patch
+ * @returns {*} Patched copy
+ */
+function mergePatch(target, patch) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    return patch;
+  }
+
+  const result = target && typeof target === 'object' && !Array.isArray(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = mergePatch(result[key], value);
+    }
+  }
+  return result;
+}
+
+/**
+ * Parse the base revision a client sent with a write.
+ * @param {*} value - `revision` from the request body
+ * @returns {number}
+ */
+function parseRevision(value) {
+  if (!Number.isInteger(value) || value < 0) {
+    throw new ManualAnnotationsError(400, 'INVALID_REVISION',
+      'revision must be the non-negative integer revision the change is based on');
+  }
+  return value;
+}
+
+/**
+ * Write a file atomically: temp file in the same folder, then rename.
+ * @private
+ */
+async function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  try {
+    await fs.writeFile(tempPath, content);
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Create the store. Writes to the same dataset are serialized so the
+ * revision check and the write happen without interleaving.
+ * @returns {{read: Function, replace: Function, patch: Function, history: Function}}
+ */
+function createManualAnnotationStore() {
+  const locks = new Map();
+
+  function withLock(datasetDir, task) {
+    const previous = locks.get(datasetDir) || Promise.resolve();
+    const run = previous.then(task, task);
+    const settled = run.catch(() => {});
+    locks.set(datasetDir, settled);
+    settled.then(() => {
+      if (locks.get(datasetDir) === settled) {
+        locks.delete(datasetDir);
+      }
+    });
+    return run;
+  }
+
+  async function readJSON(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Read the current document, or a prior revision.
+   * @param {string} datasetDir - Absolute dataset folder
+   * @param {number} [revision] - Revision to read (default: current)
+   * @returns {Promise<object>} {revision, updatedAt, author, manifest}
+   */
+  async function read(datasetDir, revision) {
+    const current = (await readJSON(path.join(datasetDir, CURRENT_FILENAME))) || emptyDocument();
+    if (revision === undefined || revision === current.revision) {
+      return current;
+    }
+
+    const prior = await readJSON(path.join(datasetDir, HISTORY_DIRNAME, `${revision}.json`));
+    if (!prior) {
+      throw new ManualAnnotationsError(404, 'REVISION_NOT_FOUND', `Revision ${revision} not found`);
+    }
+    return prior;
+  }
+
+  /**
+   * Store `manifest` as the next revision when `baseRevision` is current.
+   * @private
+   */
+  async function commit(datasetDir, baseRevision, buildManifest, author) {
+    const current = await read(datasetDir);
+    if (baseRevision !== current.revision) {
+      throw new ManualAnnotationsError(409, 'REVISION_CONFLICT',
+        `Revision ${baseRevision} is stale, current revision is ${current.revision}`,
+        { currentRevision: current.revision });
+    }
+
+    const built = buildManifest(current.manifest);
+    await validateManifestJSON(built);
+    const manifest = stampProvenance(built, author || null);
+
+    if (current.revision > 0) {
+      const historyDir = path.join(datasetDir, HISTORY_DIRNAME);
+      await fs.mkdir(historyDir, { recursive: true });
+      await writeFileAtomic(path.join(historyDir, `${current.revision}.json`), JSON.stringify(current));
+    }
+
+    const next = {
+      revision: current.revision + 1,
+      updatedAt: new Date().toISOString(),
+      author: author || null,
+      manifest,
+    };
+    await writeFileAtomic(path.join(datasetDir, CURRENT_FILENAME), JSON.stringify(next));
+    return next;
+  }
+
+  /**
+   * Replace the manual manifest (PUT).
+   * @param {string} datasetDir - Absolute dataset folder
+   * @param {object} body - {revision, manifest, author?}
+   * @returns {Promise<object>} The stored document
+   */
+  function replace(datasetDir, body) {
+    const baseRevision = parseRevision(body.revision);
+    return withLock(datasetDir, () =>
+      commit(datasetDir, baseRevision, () => body.manifest, body.author)
+    );
+  }
+
+  /**
+   * Merge-patch the manual manifest (PATCH). Arrays in `items` are
+   * replaced per category and `null` removes a category.
+   * @param {string} datasetDir - Absolute dataset folder
+   * @param {object} body - {revision, patch, author?}
+   * @returns {Promise<object>} The stored document
+   */
+  function patch(datasetDir, body) {
+    const baseRevision = parseRevision(body.revision);
+    if (!body.patch || typeof body.patch !== 'object' || Array.isArray(body.patch)) {
+      throw new ManualAnnotationsError(400, 'INVALID_PATCH', 'patch must be a JSON merge patch object');
+    }
+    return withLock(datasetDir, () =>
+      commit(datasetDir, baseRevision, manifest => mergePatch(manifest, body.patch), body.author)
+    );
+  }
+
+  /**
+   * List stored revisions, oldest first.
+   * @param {string} datasetDir - Absolute dataset folder
+   * @returns {Promise<object[]>} [{revision, updatedAt, author}]
+   */
+  async function history(datasetDir) {
+    let files = [];
+    try {
+      files = await fs.readdir(path.join(datasetDir, HISTORY_DIRNAME));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const revisions = [];
+    for (const file of files) {
+      if (!/^\d+\.json$/.test(file)) continue;
+      const document = await readJSON(path.join(datasetDir, HISTORY_DIRNAME, file));
+      revisions.push(document);
+    }
+
+    const current = await read(datasetDir);
+    if (current.revision > 0) {
+      revisions.push(current);
+    }
+
+    return revisions
+      .sort((a, b) => a.revision - b.revision)
+      .map(({ revision, updatedAt, author }) => ({ revision, updatedAt, author }));
+  }
+
+  return { read, replace, patch, history };
+}
+
+module.exports = {
+  createManualAnnotationStore,
+  ManualAnnotationsError,
+  mergePatch,
+};
@@ -0,0 +1,86 @@
+// Container detection for camera video files. The recorders produce MP4,
+// WebM, QuickTime and Matroska files; the magic bytes decide the type and
+// the file extension is the fallback when the header is not recognised.
+
+const path = require('path');
+const fs = require('fs/promises');
+
+const EXTENSION_TYPES = {
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mov': 'video/quicktime',
+  '.mkv': 'video/x-matroska',
+};
+
+const VIDEO_EXTENSIONS = Object.keys(EXTENSION_TYPES);
+const FALLBACK_TYPE = 'application/octet-stream';
+
+// Bytes read from the start of the file for sniffing
+const SNIFF_LENGTH = 64;
+
+const EBML_MAGIC = Buffer.from([0x1a, 0x45, 0xdf, 0xa3]);
+const QUICKTIME_ATOMS = ['moov', 'mdat', 'wide', 'free', 'skip', 'pnot'];
+
+/**
+ * Detect the container from the first bytes of a file.
+ * @param {Buffer} header - Start of the file
+ * @returns {string|null} MIME type, or null when not recognised
+ */
+function sniffVideoType(header) {
+  if (header.length >= 12) {
+    const boxType = header.toString('latin1', 4, 8);
+    if (boxType === 'ftyp') {
+      // ISO base media file: the major brand tells QuickTime apart from MP4
+      const majorBrand = header.toString('latin1', 8, 12);
+      return majorBrand === 'qt  ' ? 'video/quicktime' : 'video/mp4';
+    }
+    if (QUICKTIME_ATOMS.includes(boxType)) {
+      return 'video/quicktime';
+    }
+  }
+
+  if (header.length >= 4 && header.subarray(0, 4).equals(EBML_MAGIC)) {
+    // EBML header: the DocType element names the flavour
+    return header.includes('webm', 0, 'latin1') ? 'video/webm' : 'video/x-matroska';
+  }
+
+  return null;
+}
+
+/**
+ * MIME type for a file extension.
+ * @param {string} extension - Extension including the dot, any case
+ * @returns {string|null}
+ */
+function typeForExtension(extension) {
+  return EXTENSION_TYPES[extension.toLowerCase()] || null;
+}
+
+/**
+ * Detect the MIME type of a video file from its magic bytes, falling back
+ * to the extension.
+ * @param {string} filePath - Absolute path of the file
+ * @returns {Promise<string>} MIME type
+ */
+async function detectVideoType(filePath) {
+  let header = Buffer.alloc(0);
+  let handle;
+  try {
+    handle = await fs.open(filePath, 'r');
+    const buffer = Buffer.alloc(SNIFF_LENGTH);
+    const { bytesRead } = await handle.read(buffer, 0, SNIFF_LENGTH, 0);
+    header = buffer.subarray(0, bytesRead);
+  } finally {
+    await handle?.close();
+  }
+
+  return sniffVideoType(header) || typeForExtension(path.extname(filePath)) || FALLBACK_TYPE;
+}
+
+module.exports = {
+  VIDEO_EXTENSIONS,
+  detectVideoType,
+  sniffVideoType,
+  typeForExtension,
+};
@@ -0,0 +1,128 @@
+// In-memory LRU of parsed metadata.json documents. Entries are keyed by
+// path and revalidated against the file's mtime and size on every lookup,
+// so a regenerated metadata.json is picked up without restarting.
+//
+// Cached documents are shared between requests: treat them as read-only.
+
+const fs = require('fs/promises');
+
+// Encoded response bodies kept per cached document (see json-response.js)
+const MAX_RESPONSE_VARIANTS = 8;
+
+/**
+ * Create a metadata cache.
+ *
+ * @example
+ * const cache = createMetadataCache({ maxEntries: 8 });
+ * const { metadata, version } = await cache.get('/data/assets/1/metadata.json');
+ *
+ * @param {object} [options={}]
+ * @param {number} [options.maxEntries=8] - Parsed documents kept in memory
+ * @returns {{get: Function, stats: Function, clear: Function}}
+ */
+function createMetadataCache({ maxEntries = 8 } = {}) {
+  // Map iteration order doubles as recency order (oldest first)
+  const entries = new Map();
+  let hits = 0;
+  let misses = 0;
+
+  function touch(filePath, entry) {
+    entries.delete(filePath);
+    entries.set(filePath, entry);
+  }
+
+  function evict() {
+    while (entries.size > maxEntries) {
+      const oldest = entries.keys().next().value;
+      entries.delete(oldest);
+    }
+  }
+
+  /**
+   * Get the parsed document for a file, parsing it only when it is not
+   * cached or changed on disk since it was cached.
+   * @param {string} filePath - Absolute path of a metadata.json
+   * @returns {Promise<{metadata: object, version: string, responses: Map<string, object>}>}
+   *   `version` changes whenever the file does; `responses` is a small
+   *   per-document store for serialized/compressed bodies
+   */
+  async function get(filePath) {
+    const stat = await fs.stat(filePath);
+    const version = `${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}`;
+
+    const cached = entries.get(filePath);
+    if (cached && cached.version === version) {
+      hits++;
+      touch(filePath, cached);
+      return cached.promise;
+    }
+
+    misses++;
+    const entry = {
+      version,
+      sizeBytes: stat.size,
+      promise: fs.readFile(filePath, 'utf8').then(text => ({
+        metadata: JSON.parse(text),
+        version,
+        responses: createResponseStore(),
+      })),
+    };
+    touch(filePath, entry);
+    evict();
+
+    // Failed parses are not cached
+    entry.promise.catch(() => {
+      if (entries.get(filePath) === entry) {
+        entries.delete(filePath);
+      }
+    });
+
+    return entry.promise;
+  }
+
+  /**
+   * Cache statistics for the status route.
+   * @returns {object}
+   */
+  function stats() {
+    const lookups = hits + misses;
+    let cachedBytes = 0;
+    for (const entry of entries.values()) {
+      cachedBytes += entry.sizeBytes;
+    }
+
+    return {
+      entries: entries.size,
+      maxEntries,
+      cachedFileBytes: cachedBytes,
+      hits,
+      misses,
+      hitRate: lookups === 0 ? 0 : hits / lookups,
+    };
+  }
+
+  function clear() {
+    entries.clear();
+  }
+
+  return { get, stats, clear };
+}
+
+/**
+ * Bounded Map for encoded response bodies, dropping the oldest variant.
+ * @private
+ */
+function createResponseStore() {
+  const store = new Map();
+  const set = store.set.bind(store);
+  store.set = (key, value) => {
+    set(key, value);
+    while (store.size > MAX_RESPONSE_VARIANTS) {
+      store.delete(store.keys().next().value);
+    }
+    return store;
+  };
+  return store;
+}
+
+module.exports = { createMetadataCache };
@@ -0,0 +1,202 @@
+// Projection and time-window queries for /metadata/:id.
+//
+//   /metadata/1?select=inference_data.observations_data.laneCalibrationParams
+//   /metadata/1?select=/inference_data/observations_data/carBoxTrackerList&from=1752673813000&to=1752673815000
+//
+// `select` takes JSON pointers (RFC 6901, starting with "/") or dotted paths
+// and may be repeated or comma separated. The response keeps the original
+// nesting around each selected subtree, so extractors run unchanged on a
+// projected document. `from` / `to` (inclusive, in the frames' own timestamp
+// unit) filter the selected per-frame arrays.
+
+const { ApiError } = require('./api-error');
+
+/**
+ * Error raised for malformed query parameters; `status` is the HTTP status.
+ */
+class MetadataQueryError extends ApiError {
+  constructor(message) {
+    super(400, 'INVALID_QUERY', message);
+    this.name = 'MetadataQueryError';
+  }
+}
+
+/**
+ * Split a selector into path segments.
+ * @param {string} selector - JSON pointer ("/a/b") or dotted path ("a.b")
+ * @returns {string[]} Path segments
+ */
+function parseSelector(selector) {
+  if (selector.startsWith('/')) {
+    return selector
+      .slice(1)
+      .split('/')
+      .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  }
+
+  const segments = selector.split('.');
+  if (segments.some(segment => segment === '')) {
+    throw new MetadataQueryError(`Invalid select path: '${selector}'`);
+  }
+  return segments;
+}
+
+/**
+ * Collect the selectors of a `select` query value.
+ * @param {string|string[]|undefined} value - Raw query value
+ * @returns {string[][]} Parsed selectors
+ */
+function parseSelectors(value) {
+  return [].concat(value || [])
+    .flatMap(part => String(part).split(','))
+    .map(selector => selector.trim())
+    .filter(Boolean)
+    .map(parseSelector);
+}
+
+/**
+ * Parse an optional numeric bound.
+ * @param {string|undefined} value - Raw query value
+ * @param {string} name - Parameter name for error messages
+ * @returns {number|null}
+ */
+function parseBound(value, name) {
+  if (value === undefined || value === '') return null;
+
+  const number = Number(value);
+  if (Array.isArray(value) || !Number.isFinite(number)) {
+    throw new MetadataQueryError(`'${name}' must be a number`);
+  }
+  return number;
+}
+
+/**
+ * Timestamp of a frame entry: `[timestamp, ...]` tuples as in
+ * carBoxTrackerList, or objects with a timestamp field.
+ * @param {*} frame - Array element
+ * @returns {number|null}
+ */
+function getFrameTimestamp(frame) {
+  if (Array.isArray(frame)) {
+    return typeof frame[0] === 'number' && frame.length >= 2 ? frame[0] : null;
+  }
+  if (frame && typeof frame === 'object') {
+    for (const key of ['frame_timestamp', 'timestamp', 'timestampMs']) {
+      if (typeof frame[key] === 'number') return frame[key];
+    }
+  }
+  return null;
+}
+
+/**
+ * Filter a per-frame array to a time window. Arrays that are not made
+ * of frames are returned unchanged.
+ * @param {Array} frames - Candidate per-frame array
+ * @param {number|null} from - Inclusive lower bound
+ * @param {number|null} to - Inclusive upper bound
+ * @returns {Array}
+ */
+function filterFrames(frames, from, to) {
+  if (frames.length === 0 || !frames.every(frame => getFrameTimestamp(frame) !== null)) {
+    return frames;
+  }
+
+  return frames.filter(frame => {
+    const timestamp = getFrameTimestamp(frame);
+    return (from === null || timestamp >= from) && (to === null || timestamp <= to);
+  });
+}
+
+/**
+ * Read the value at a path, or undefined when any segment is missing.
+ * @param {*} document - Parsed metadata
+ * @param {string[]} segments - Path segments
+ * @returns {*}
+ */
+function getAtPath(document, segments) {
+  let current = document;
+  for (const segment of segments) {
+    if (current === null || typeof current !== 'object' ||
+        !Object.prototype.hasOwnProperty.call(current, segment)) {
+      return undefined;
+    }
+    current = current[segment];
+  }
+  return current;
+}
+
+/**
+ * Write a value into a projection, creating containers shaped like the
+ * source document (arrays stay arrays, missing indexes become null).
+ * @private
+ */
+function setAtPath(target, source, segments, value) {
+  let targetNode = target;
+  let sourceNode = source;
+
+  segments.forEach((segment, index) => {
+    if (index === segments.length - 1) {
+      targetNode[segment] = value;
+      return;
+    }
+    sourceNode = sourceNode[segment];
+    if (targetNode[segment] === undefined) {
+      targetNode[segment] = Array.isArray(sourceNode) ? [] : {};
+    }
+    targetNode = targetNode[segment];
+  });
+}
+
+/**
+ * Apply `select` / `from` / `to` query parameters to a metadata document.
+ * @param {object} metadata - Parsed metadata.json (not modified)
+ * @param {object} query - Request query ({select, from, to})
+ * @returns {object} The document itself when no parameter is given,
+ *   otherwise a projection holding only the selected subtrees
+ * @throws {MetadataQueryError} On malformed parameters
+ */
+function queryMetadata(metadata, query = {}) {
+  const selectors = parseSelectors(query.select);
+  const from = parseBound(query.from, 'from');
+  const to = parseBound(query.to, 'to');
+  const hasWindow = from !== null || to !== null;
+
+  if (hasWindow && selectors.length === 0) {
+    throw new MetadataQueryError("'from' and 'to' need at least one 'select' path");
+  }
+  if (selectors.length === 0) {
+    return metadata;
+  }
+
+  if (selectors.some(segments => segments.length === 1 && segments[0] === '')) {
+    throw new MetadataQueryError('Selecting the whole document is not a projection');
+  }
+
+  // Shorter paths first; a path inside an already selected subtree adds nothing
+  const selected = [];
+  const isCovered = segments => selected.some(prefix =>
+    prefix.every((segment, index) => segments[index] === segment)
+  );
+
+  const projection = {};
+  for (const segments of [...selectors].sort((a, b) => a.length - b.length)) {
+    if (isCovered(segments)) continue;
+
+    let value = getAtPath(metadata, segments);
+    if (value === undefined) continue;
+
+    if (hasWindow && Array.isArray(value)) {
+      value = filterFrames(value, from, to);
+    }
+    setAtPath(projection, metadata, segments, value);
+    selected.push(segments);
+  }
+  return projection;
+}
+
+module.exports = {
+  queryMetadata,
+  parseSelector,
+  filterFrames,
+  MetadataQueryError,
+};
@@ -0,0 +1,75 @@
+// Request ids and structured logs. Every response carries an X-Request-Id
+// (the caller's own when it sent a sane one) and every finished request is
+// written as one JSON line, so logs can be grepped by request or dataset.
+
+const crypto = require('crypto');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+/**
+ * Create a logger writing one JSON object per line.
+ * @param {object} [options={}]
+ * @param {string} [options.level] - Lowest level written (default: LOG_LEVEL or 'info')
+ * @param {Function} [options.write] - Receives each line (default: stdout, stderr for errors)
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function}}
+ */
+function createLogger({ level = process.env.LOG_LEVEL || 'info', write } = {}) {
+  if (!(level in LEVELS)) {
+    throw new Error(`Unknown log level '${level}', expected one of ${Object.keys(LEVELS).join(', ')}`);
+  }
+  const threshold = LEVELS[level];
+
+  const logger = {};
+  for (const name of ['debug', 'info', 'warn', 'error']) {
+    logger[name] = entry => {
+      if (LEVELS[name] < threshold) return;
+
+      const line = JSON.stringify({ time: new Date().toISOString(), level: name, ...entry });
+      if (write) {
+        write(line);
+      } else {
+        (name === 'error' ? process.stderr : process.stdout).write(`${line}\n`);
+      }
+    };
+  }
+  return logger;
+}
+
+/**
+ * Middleware assigning `req.id` and logging each request when it ends.
+ * @param {object} logger - From createLogger
+ * @returns {Function} Express middleware
+ */
+function requestLogging(logger) {
+  return (req, res, next) => {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    req.id = incoming && /^[A-Za-z0-9._:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+    res.setHeader(REQUEST_ID_HEADER, req.id);
+
+    const startedAt = process.hrtime.bigint();
+    res.on('close', () => {
+      const entry = {
+        msg: 'request',
+        requestId: req.id,
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+        durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+        bytes: Number(res.getHeader('Content-Length')) || undefined,
+        datasetId: req.datasetId,
+      };
+      if (!res.writableFinished) {
+        entry.aborted = true;
+      }
+      (res.statusCode >= 500 ? logger.warn : logger.info)(entry);
+    });
+
+    next();
+  };
+}
+
+module.exports = {
+  createLogger,
+  requestLogging,
+};
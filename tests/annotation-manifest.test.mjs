@@ -0,0 +1,160 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Annotation, AnnotationManifest } from '../annotations/annotation-manifest.js';
+
+test('the archived timeRange shape and the startTimeMs/durationMs shape load the same annotation', () => {
+  const archived = Annotation.fromJSON({
+    id: 'metadata-text',
+    category: 'text',
+    timeRange: { startMs: 1000, endMs: 5000 },
+    data: { text: 'Alert ID: A1' },
+  });
+  const current = Annotation.fromJSON({
+    id: 'metadata-text',
+    category: 'text',
+    startTimeMs: 1000,
+    durationMs: 4000,
+    data: { text: 'Alert ID: A1' },
+  });
+
+  assert.deepEqual(archived.toJSON(), current.toJSON());
+  assert.deepEqual(current.timeRange, { startMs: 1000, endMs: 5000 });
+  assert.ok(current.isActiveAt(5000));
+  assert.ok(!current.isActiveAt(5001));
+  // The archived VideoAnnotator passes plain objects to the constructor
+  assert.deepEqual(new Annotation({ category: 'text', timeRange: { startMs: 1000, endMs: 5000 }, data: { text: 'Alert ID: A1' }, id: 'metadata-text' }).toJSON(), current.toJSON());
+});
+
+test('ids are derived from the content when not given', () => {
+  const a = new Annotation('dsf', 0, 1000, { lanes: [1, 2] });
+  const b = new Annotation('dsf', 0, 1000, { lanes: [1, 2] });
+  const c = new Annotation('dsf', 0, 1000, { lanes: [1, 3] });
+
+  assert.match(a.id, /^dsf-[0-9a-f]{8}$/);
+  assert.equal(a.id, b.id);
+  assert.notEqual(a.id, c.id);
+  assert.equal(new Annotation('dsf', 0, 1000, {}, { id: 'lane-cal' }).id, 'lane-cal');
+});
+
+test('manifests round-trip through JSON without losing ids or styles', () => {
+  const manifest = new AnnotationManifest('1.0', { source: 'test' }, {
+    text: [new Annotation('text', 0, 2000, { text: 'Hi' }, { style: { color: '#ff0000' } })],
+    cross: [new Annotation('cross', 0, 30000, { includeCenterLines: true })],
+  });
+
+  const json = JSON.parse(JSON.stringify(manifest));
+  assert.equal(json.items.text[0].style.color, '#ff0000');
+  assert.equal('style' in json.items.cross[0], false);
+
+  const restored = AnnotationManifest.fromJSON(json);
+  assert.deepEqual(JSON.parse(JSON.stringify(restored)), json);
+  assert.equal(restored.getItem(json.items.text[0].id).style.color, '#ff0000');
+});
+
+test('addItem, removeItem and clear keep the counts in sync', () => {
+  const manifest = AnnotationManifest.create({ source: 'manual' });
+  assert.equal(manifest.count, 0);
+  assert.equal(manifest.metadata.source, 'manual');
+
+  const first = manifest.addItem({ category: 'detection', startTimeMs: 0, durationMs: 500, data: { confidence: 0.9 } });
+  const second = manifest.addItem(new Annotation('detection', 0, 500, { confidence: 0.9 }));
+  manifest.addItem({ id: 'note', category: 'text', timeRange: { startMs: 0, endMs: 100 }, data: { text: 'x' } });
+
+  // Identical content gets a suffixed id instead of a duplicate
+  assert.equal(second.id, `${first.id}-2`);
+  assert.equal(manifest.count, 3);
+  assert.deepEqual(manifest.getCountsByCategory(), { detection: 2, text: 1 });
+
+  assert.equal(manifest.removeItem(first.id), true);
+  assert.equal(manifest.removeItem(first.id), false);
+  assert.deepEqual(manifest.getCountsByCategory(), { detection: 1, text: 1 });
+
+  manifest.clear();
+  assert.equal(manifest.count, 0);
+  assert.deepEqual(manifest.getCountsByCategory(), { detection: 0, text: 0 });
+});
+
+test('validate reports misfiled and malformed annotations with their ids', () => {
+  const manifest = new AnnotationManifest('1.0', {}, {
+    cross: [new Annotation('cross', 0, 1000, {})],
+  });
+  assert.equal(manifest.validate(), true);
+
+  manifest.addItem(new Annotation('cross', 0, -5, {}, { id: 'bad-duration' }));
+  manifest.items.cross.push(new Annotation('text', 0, 1, { text: 'x' }, { id: 'misfiled' }));
+
+  assert.equal(manifest.validate(), false);
+  assert.deepEqual(manifest.getValidationErrors(), [
+    { path: '$.items.cross[1].durationMs', annotationId: 'bad-duration', message: 'must be >= 0' },
+    { path: '$.items.cross[2].category', annotationId: 'misfiled', message: 'must be "cross"' },
+  ]);
+});
+
+test('merge records provenance and applies the id conflict policy', () => {
+  const generated = new AnnotationManifest('1.0', { source: 'metadata-converter', version: '0.9.0' }, {
+    cross: [new Annotation('cross', 0, 1000, {}, { id: 'center', provenance: { source: 'metadata-converter', extractor: 'cross' } })],
+    text: [new Annotation('text', 0, 1000, { text: 'generated', position: { x: 0, y: 0 } }, { id: 'note' })],
+  });
+  const manual = {
+    version: '1.0',
+    metadata: { source: 'manual', author: 'reviewer-a' },
+    items: { text: [{ id: 'note', category: 'text', startTimeMs: 0, durationMs: 1000, data: { text: 'reviewed', position: { x: 0, y: 0 } } }] },
+  };
+
+  const renamed = AnnotationManifest.merge(generated, manual);
+  assert.deepEqual(renamed.items.text.map(annotation => annotation.id), ['note', 'note-2']);
+  assert.deepEqual(renamed.getItem('center').provenance, { source: 'metadata-converter', extractor: 'cross' });
+  assert.deepEqual(renamed.getItem('note').provenance, { source: 'metadata-converter', version: '0.9.0' });
+  assert.deepEqual(renamed.getItem('note-2').provenance, { source: 'manual', author: 'reviewer-a' });
+  assert.deepEqual(renamed.getSources(), ['metadata-converter', 'manual']);
+  assert.deepEqual(renamed.metadata.sources.map(source => source.source), ['metadata-converter', 'manual']);
+  // The inputs are left alone
+  assert.equal(generated.getItem('note').provenance, null);
+  // Inherited provenance is copied, not shared
+  renamed.getItem('note').provenance.version = 'edited';
+  assert.equal(renamed.metadata.sources[0].version, '0.9.0');
+
+  const last = AnnotationManifest.merge(generated, manual, { onConflict: 'keep-last' });
+  assert.equal(last.getItem('note').data.text, 'reviewed');
+  assert.equal(last.count, 2);
+
+  const first = AnnotationManifest.merge(generated, manual, { onConflict: 'keep-first' });
+  assert.equal(first.getItem('note').data.text, 'generated');
+
+  const longest = AnnotationManifest.merge(generated, manual, {
+    onConflict: (existing, incoming) => (incoming.data.text.length > existing.data.text.length ? incoming : existing),
+  });
+  assert.equal(longest.getItem('note').data.text, 'generated');
+
+  assert.throws(() => AnnotationManifest.merge(generated, manual, { onConflict: 'error' }), /'note' is used by more than one manifest/);
+  assert.throws(() => AnnotationManifest.merge(generated, { onConflict: 'newest' }), /Unknown onConflict policy/);
+
+  const reviewed = renamed.filter(annotation => annotation.provenance.source === 'manual');
+  assert.deepEqual(reviewed.getCountsByCategory(), { cross: 0, text: 1 });
+  assert.equal(renamed.validate(), true);
+});
+
+test('forStream keeps the annotations of one camera and those of none', () => {
+  const outward = new AnnotationManifest('1.0', { categoryStreams: { cross: 'outward' } }, {
+    cross: [new Annotation('cross', 0, 1000, {}, { id: 'center' })],
+    text: [new Annotation('text', 0, 1000, { text: 'Alert ID: A1', position: { x: 0, y: 0 } }, { id: 'alert' })],
+  });
+  const inward = new AnnotationManifest('1.0', {}, {
+    cross: [new Annotation('cross', 0, 1000, {}, { id: 'gaze', stream: 'inward' })],
+  });
+
+  // One manifest for every camera of the alert
+  const alert = AnnotationManifest.merge(outward, inward);
+  assert.equal(alert.getItem('center').stream, 'outward');
+  assert.deepEqual(alert.getStreams(), ['outward', 'inward']);
+  assert.deepEqual(alert.forStream('inward').getCountsByCategory(), { cross: 1, text: 1 });
+  assert.deepEqual(alert.forStream('inward').items.cross.map(annotation => annotation.id), ['gaze']);
+  assert.deepEqual(alert.forStream('dms').items.cross, []);
+  assert.equal(alert.validate(), true);
+
+  const gaze = alert.getItem('gaze');
+  assert.equal(Annotation.fromJSON(gaze.toJSON()).stream, 'inward');
+  // The stream is part of a derived id, so one box on two cameras keeps two ids
+  assert.notEqual(new Annotation('cross', 0, 1, {}, { stream: 'inward' }).id, new Annotation('cross', 0, 1, {}).id);
+});
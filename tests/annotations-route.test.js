@@ -0,0 +1,109 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+const { createApp } = require('../server');
+const { createAssetsDir, startServer } = require('./helpers');
+
+const METADATA = {
+  alertId: 'alert-42',
+  inference_data: {
+    observations_data: {
+      laneCalibrationParams: [[960, 540], null, [200, 1700], 1080],
+    },
+  },
+};
+
+let assetsDir;
+let server;
+
+before(async () => {
+  assetsDir = createAssetsDir({
+    1: { 'metadata.json': JSON.stringify(METADATA) },
+    3: { 'metadata.json': JSON.stringify({ detections: [{ timestamp: 0, bbox: { x: 0, y: 0, width: 1 } }, { timestamp: 10 }] }) },
+    4: {
+      'metadata.json': JSON.stringify({ detections: [{ timestamp: 1000 }] }),
+      'cameras.json': JSON.stringify({ cameras: [{ name: 'outward', videoStartEpochMs: 1752673813000, offsetMs: -200 }] }),
+    },
+  });
+  server = await startServer(createApp({ assetsDir }));
+});
+
+after(async () => {
+  await server.close();
+  fs.rmSync(assetsDir, { recursive: true, force: true });
+});
+
+test('returns the serialized manifest for the requested categories', async () => {
+  const response = await fetch(`${server.baseUrl}/annotations/1?categories=dsf,text`);
+  assert.equal(response.status, 200);
+
+  const manifest = await response.json();
+  assert.deepEqual(Object.keys(manifest.items), ['dsf', 'text']);
+  assert.deepEqual(manifest.metadata.extractors, ['dsf', 'text']);
+  // Pixels at the canonical outward resolution, declared on the annotation
+  assert.deepEqual(manifest.items.dsf[0].data.vanishing_triangle[0], [[200, 1080], [960, 540]]);
+  assert.deepEqual(manifest.items.dsf[0].coordinateSpace, { units: 'pixels', width: 1920, height: 1080 });
+  assert.equal(manifest.items.text[0].data.text, 'Alert ID: alert-42');
+  assert.deepEqual(manifest.items.dsf[0].provenance, { source: 'metadata-converter', extractor: 'dsf', version: '0.9.0' });
+  // Lane triangles belong on the road-facing camera only
+  assert.deepEqual(manifest.metadata.categoryStreams, { dsf: 'outward' });
+});
+
+test('rejects unknown categories with 400', async () => {
+  const response = await fetch(`${server.baseUrl}/annotations/1?categories=dsf,nope`);
+  assert.equal(response.status, 400);
+  assert.ok((await response.json()).error.available.includes('dsf'));
+});
+
+test('a filter expression narrows the manifest, bad syntax is a 400', async () => {
+  const filter = encodeURIComponent('category == "text" or stream == "inward"');
+  const manifest = await (await fetch(`${server.baseUrl}/annotations/1?categories=dsf,text&filter=${filter}`)).json();
+  assert.equal(manifest.items.dsf.length, 0);
+  assert.equal(manifest.items.text.length, 1);
+
+  const response = await fetch(`${server.baseUrl}/annotations/1?filter=${encodeURIComponent('data.confidence >')}`);
+  assert.equal(response.status, 400);
+  const { error } = await response.json();
+  assert.equal(error.code, 'INVALID_FILTER');
+  assert.equal(error.position, 17);
+});
+
+test('repeated filters must all match and cannot regroup each other', async () => {
+  const query = ['category == "text" or category == "dsf"', 'category == "dsf"']
+    .map(filter => `filter=${encodeURIComponent(filter)}`).join('&');
+  const manifest = await (await fetch(`${server.baseUrl}/annotations/1?categories=dsf,text&${query}`)).json();
+  assert.deepEqual([manifest.items.dsf.length, manifest.items.text.length], [1, 0]);
+
+  const breakout = ['category == "dsf"', 'x) or (true'].map(filter => `filter=${encodeURIComponent(filter)}`).join('&');
+  const response = await fetch(`${server.baseUrl}/annotations/1?${breakout}`);
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).error.filter, 'x) or (true');
+});
+
+test('missing dataset returns 404', async () => {
+  const response = await fetch(`${server.baseUrl}/annotations/2`);
+  assert.equal(response.status, 404);
+});
+
+test('annotations that fail the schema are dropped from the manifest', async () => {
+  const manifest = await (await fetch(`${server.baseUrl}/annotations/3?categories=detection`)).json();
+  assert.equal(manifest.items.detection.length, 1);
+  assert.equal(manifest.items.detection[0].startTimeMs, 10);
+});
+
+test('video offsets from cameras.json are applied and recorded', async () => {
+  const manifest = await (await fetch(`${server.baseUrl}/annotations/4?categories=detection`)).json();
+  assert.equal(manifest.metadata.timeBase, 'video');
+  assert.deepEqual(manifest.metadata.streams, { outward: { videoStartEpochMs: 1752673813000, offsetMs: -200 } });
+  assert.equal(manifest.items.detection[0].startTimeMs, 800);
+});
+
+test('the manifest schema is published', async () => {
+  const response = await fetch(`${server.baseUrl}/schemas/manifest.schema.json`);
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^application\/schema\+json/);
+  const schema = await response.json();
+  assert.deepEqual(schema.required, ['items']);
+  assert.ok(schema.$defs.data.detection);
+});
@@ -0,0 +1,103 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+const { createApp } = require('../server');
+const { createLogger } = require('../server/request-logging');
+const { createAssetsDir, startServer } = require('./helpers');
+
+let assetsDir;
+let server;
+const logLines = [];
+
+before(async () => {
+  assetsDir = createAssetsDir({ 1: { 'metadata.json': '{"inference_data": {}}' } });
+  const logger = createLogger({ level: 'info', write: line => logLines.push(JSON.parse(line)) });
+  server = await startServer(createApp({ assetsDir, logger }));
+});
+
+after(async () => {
+  await server.close();
+  fs.rmSync(assetsDir, { recursive: true, force: true });
+});
+
+// The access log line is written when the response closes
+function waitForLog(predicate) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const poll = () => {
+      const entry = logLines.find(predicate);
+      if (entry) return resolve(entry);
+      if (Date.now() - started > 1000) return reject(new Error('log entry not written'));
+      setTimeout(poll, 10);
+    };
+    poll();
+  });
+}
+
+test('errors share one JSON envelope with code, message and dataset id', async () => {
+  const video = await fetch(`${server.baseUrl}/video/1/missing.mp4`);
+  assert.equal(video.status, 404);
+  assert.match(video.headers.get('content-type'), /application\/json/);
+  const { error } = await video.json();
+  assert.equal(error.code, 'NOT_FOUND');
+  assert.equal(error.message, 'Video not found');
+  assert.equal(error.datasetId, '1');
+  assert.equal(error.requestId, video.headers.get('x-request-id'));
+
+  const unknownRoute = await fetch(`${server.baseUrl}/nothing-here`);
+  assert.equal(unknownRoute.status, 404);
+  assert.equal((await unknownRoute.json()).error.datasetId, null);
+
+  const badBody = await fetch(`${server.baseUrl}/annotations/1/manual`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: '{not json',
+  });
+  assert.equal(badBody.status, 400);
+  assert.equal((await badBody.json()).error.code, 'INVALID_BODY');
+});
+
+test('request ids are echoed or generated, and every request is logged', async () => {
+  const echoed = await fetch(`${server.baseUrl}/datasets`, { headers: { 'X-Request-Id': 'trace-42' } });
+  assert.equal(echoed.headers.get('x-request-id'), 'trace-42');
+
+  const replaced = await fetch(`${server.baseUrl}/datasets`, { headers: { 'X-Request-Id': 'has spaces' } });
+  assert.notEqual(replaced.headers.get('x-request-id'), 'has spaces');
+
+  const entry = await waitForLog(line => line.requestId === 'trace-42' && line.msg === 'request');
+  assert.equal(entry.level, 'info');
+  assert.equal(entry.method, 'GET');
+  assert.equal(entry.path, '/datasets');
+  assert.equal(entry.status, 200);
+  assert.equal(typeof entry.durationMs, 'number');
+
+  await fetch(`${server.baseUrl}/metadata/1`, { headers: { 'X-Request-Id': 'trace-43' } });
+  assert.equal((await waitForLog(line => line.requestId === 'trace-43')).datasetId, '1');
+});
+
+test('client error reports are validated, logged and counted', async () => {
+  const report = await fetch(`${server.baseUrl}/client-errors`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Request-Id': 'trace-44' },
+    body: JSON.stringify({ source: 'renderer', category: 'dsf', datasetId: '1', message: 'ctx is undefined', extra: 'dropped' }),
+  });
+  assert.equal(report.status, 202);
+
+  const entry = await waitForLog(line => line.requestId === 'trace-44' && line.msg === 'client error');
+  assert.equal(entry.level, 'warn');
+  assert.equal(entry.source, 'renderer');
+  assert.equal(entry.category, 'dsf');
+  assert.equal(entry.extra, undefined);
+
+  const invalid = await fetch(`${server.baseUrl}/client-errors`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ source: 'somewhere', message: 'x' }),
+  });
+  assert.equal(invalid.status, 400);
+  assert.equal((await invalid.json()).error.code, 'INVALID_REPORT');
+
+  const status = await (await fetch(`${server.baseUrl}/status`)).json();
+  assert.equal(status.clientErrors, 1);
+});
@@ -0,0 +1,125 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { createApp } = require('../server');
+const { createAssetsResolver, AssetPathError } = require('../server/assets-resolver');
+const { createAssetsDir, startServer } = require('./helpers');
+
+let assetsDir;
+let outsideDir;
+let server;
+
+before(async () => {
+  assetsDir = createAssetsDir({
+    1: { 'inward.mp4': 'video', 'metadata.json': '{}', '.secret': 'hidden' },
+  });
+
+  // A file outside the assets root, reachable through symlinks inside it
+  outsideDir = fs.mkdtempSync(path.join(os.tmpdir(), 'browser-annotations-outside-'));
+  fs.writeFileSync(path.join(outsideDir, 'secret.mp4'), 'secret');
+  fs.symlinkSync(path.join(outsideDir, 'secret.mp4'), path.join(assetsDir, '1', 'escape.mp4'));
+  fs.symlinkSync(outsideDir, path.join(assetsDir, 'linked'));
+  fs.symlinkSync(path.join(assetsDir, '1', 'inward.mp4'), path.join(assetsDir, '1', 'alias.mp4'));
+
+  server = await startServer(createApp({ assetsDir }));
+});
+
+after(async () => {
+  await server.close();
+  fs.rmSync(assetsDir, { recursive: true, force: true });
+  fs.rmSync(outsideDir, { recursive: true, force: true });
+});
+
+// Raw request so the client does not normalise dot segments away
+function getStatus(urlPath) {
+  return new Promise((resolve, reject) => {
+    const { hostname, port } = new URL(server.baseUrl);
+    http.get({ hostname, port, path: urlPath }, response => {
+      response.resume();
+      resolve(response.statusCode);
+    }).on('error', reject);
+  });
+}
+
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    assert.ok(error instanceof AssetPathError);
+    return error;
+  }
+  assert.fail('expected the resolver to reject');
+}
+
+test('resolver returns files inside the root', async () => {
+  const assets = createAssetsResolver(assetsDir);
+  const { filePath, stat } = await assets.resolveFile('1', 'inward.mp4');
+  assert.equal(path.basename(filePath), 'inward.mp4');
+  assert.ok(stat.isFile());
+});
+
+test('resolver follows symlinks that stay inside the root', async () => {
+  const assets = createAssetsResolver(assetsDir);
+  const { filePath } = await assets.resolveFile('1', 'alias.mp4');
+  assert.equal(path.basename(filePath), 'inward.mp4');
+});
+
+test('resolver rejects traversal, separators, hidden files and null bytes with 400', async () => {
+  const assets = createAssetsResolver(assetsDir);
+  for (const [id, filename] of [['..', 'package.json'], ['1', '../../x'], ['1', 'a\\b'], ['1', '.secret'], ['1', 'a\0b'], ['', 'x']]) {
+    const error = await rejection(assets.resolveFile(id, filename));
+    assert.equal(error.status, 400);
+    assert.equal(error.code, 'INVALID_PATH');
+  }
+});
+
+test('resolver rejects symlink escapes with 403', async () => {
+  const assets = createAssetsResolver(assetsDir);
+
+  const fileEscape = await rejection(assets.resolveFile('1', 'escape.mp4'));
+  assert.equal(fileEscape.status, 403);
+  assert.equal(fileEscape.code, 'PATH_ESCAPE');
+
+  const dirEscape = await rejection(assets.resolveFile('linked', 'secret.mp4'));
+  assert.equal(dirEscape.status, 403);
+});
+
+test('resolver reports missing files and folders with 404', async () => {
+  const assets = createAssetsResolver(assetsDir);
+  assert.equal((await rejection(assets.resolveFile('1', 'missing.mp4'))).status, 404);
+  assert.equal((await rejection(assets.resolveFile('2', 'inward.mp4'))).status, 404);
+  assert.equal((await rejection(assets.resolveDataset('1/inward.mp4'))).status, 400);
+});
+
+test('video route maps rejections to status codes', async () => {
+  assert.equal(await getStatus('/video/1/inward.mp4'), 200);
+  assert.equal(await getStatus('/video/%2e%2e/package.json'), 400);
+  assert.equal(await getStatus('/video/1/..%2F..%2Fserver.js'), 400);
+  assert.equal(await getStatus('/video/1/.secret'), 400);
+  assert.equal(await getStatus('/video/1/escape.mp4'), 403);
+  assert.equal(await getStatus('/video/linked/secret.mp4'), 403);
+  assert.equal(await getStatus('/video/1/missing.mp4'), 404);
+});
+
+test('metadata route maps rejections to status codes', async () => {
+  const response = await fetch(server.baseUrl + '/metadata/linked');
+  assert.equal(response.status, 403);
+  assert.equal((await response.json()).error.code, 'PATH_ESCAPE');
+
+  assert.equal(await getStatus('/metadata/%2e%2e'), 400);
+  assert.equal(await getStatus('/metadata/2'), 404);
+  assert.equal(await getStatus('/metadata/1'), 200);
+});
+
+test('only the public UI files are served statically', async () => {
+  for (const url of ['/', '/client.js', '/styles.css', '/annotations/annotation-manifest.js']) {
+    assert.equal(await getStatus(url), 200, url);
+  }
+  for (const url of ['/server.js', '/package.json', '/notebooks/testing_in_node.ipynb', '/videos/server.js', '/assets/1/inward.mp4', '/.gitignore', '/annotations/../server.js']) {
+    assert.equal(await getStatus(url), 404, url);
+  }
+});
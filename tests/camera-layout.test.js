@@ -0,0 +1,98 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+const { createApp } = require('../server');
+const {
+  normalizeCameraLayout,
+  assignVideoFiles,
+  streamTimingFromLayout,
+  CameraLayoutError,
+} = require('../server/camera-layout');
+const { createAssetsDir, startServer } = require('./helpers');
+
+const WEBM_HEADER = Buffer.from('1a45dfa3010000000000001f4282847765626d', 'hex');
+
+let assetsDir;
+let server;
+
+before(async () => {
+  assetsDir = createAssetsDir({
+    1: { 'inward.webm': WEBM_HEADER, 'outward.webm': WEBM_HEADER, 'extra.webm': WEBM_HEADER },
+    2: {
+      'front.webm': WEBM_HEADER,
+      'cabin.webm': WEBM_HEADER,
+      'cameras.json': JSON.stringify({
+        cameras: [
+          { name: 'driver', file: 'cabin.webm', label: 'Driver', resolution: { width: 1296, height: 1296 } },
+          { name: 'front', label: 'Road' },
+        ],
+      }),
+    },
+    3: { 'inward.webm': WEBM_HEADER, 'cameras.json': '{"cameras": {}}' },
+  });
+  server = await startServer(createApp({
+    assetsDir,
+    cameraLayout: [
+      { name: 'outward', label: 'Road', resolution: { width: 1920, height: 1080 } },
+      { name: 'inward', label: 'Cabin' },
+    ],
+  }));
+});
+
+after(async () => {
+  await server.close();
+  fs.rmSync(assetsDir, { recursive: true, force: true });
+});
+
+test('normalizeCameraLayout fills defaults and rejects bad entries', () => {
+  assert.deepEqual(normalizeCameraLayout([{ name: 'dms' }]), [
+    { name: 'dms', file: null, label: 'dms', resolution: null, order: 0 },
+  ]);
+  assert.throws(() => normalizeCameraLayout([{ name: '../x' }]), CameraLayoutError);
+  assert.throws(() => normalizeCameraLayout([{ name: 'a' }, { name: 'a' }]), /listed twice/);
+  assert.throws(() => normalizeCameraLayout([{ name: 'a', resolution: { width: 0, height: 1 } }]), /resolution/);
+  assert.throws(() => normalizeCameraLayout([{ name: 'a', offsetMs: '40' }]), /offsetMs/);
+});
+
+test('streamTimingFromLayout lists the cameras that declare a video start or offset', () => {
+  const layout = normalizeCameraLayout([{ name: 'inward' }, { name: 'outward', videoStartEpochMs: 1752673813000 }]);
+  assert.deepEqual(streamTimingFromLayout(layout), { outward: { videoStartEpochMs: 1752673813000, offsetMs: 0 } });
+});
+
+test('assignVideoFiles follows the layout order and keeps unknown files', () => {
+  const layout = normalizeCameraLayout([{ name: 'b', order: 2 }, { name: 'a', order: 1 }]);
+  const assigned = assignVideoFiles(layout, ['z.mp4', 'b.webm', 'a.mp4']);
+  assert.deepEqual(assigned.map(({ camera, filename }) => [camera.name, filename]), [
+    ['a', 'a.mp4'],
+    ['b', 'b.webm'],
+    ['z', 'z.mp4'],
+  ]);
+});
+
+test('catalog uses the server layout, or cameras.json when the dataset has one', async () => {
+  const { datasets } = await (await fetch(`${server.baseUrl}/datasets`)).json();
+  const [serverLayout, datasetLayout, brokenLayout] = datasets;
+
+  assert.equal(serverLayout.layoutSource, 'server');
+  assert.deepEqual(serverLayout.cameras.map(camera => [camera.name, camera.label]), [
+    ['outward', 'Road'],
+    ['inward', 'Cabin'],
+    ['extra', 'extra'],
+  ]);
+  assert.deepEqual(serverLayout.cameras[0].resolution, { width: 1920, height: 1080 });
+
+  assert.equal(datasetLayout.layoutSource, 'dataset');
+  assert.deepEqual(datasetLayout.cameras.map(camera => [camera.name, camera.filename, camera.label]), [
+    ['driver', 'cabin.webm', 'Driver'],
+    ['front', 'front.webm', 'Road'],
+  ]);
+
+  assert.equal(brokenLayout.layoutSource, 'server');
+  assert.match(brokenLayout.layoutError, /cameras must be an array/);
+  assert.deepEqual(brokenLayout.cameras.map(camera => camera.name), ['inward']);
+});
+
+test('an invalid server layout fails at startup', () => {
+  assert.throws(() => createApp({ assetsDir, cameraLayout: [{ label: 'no name' }] }), CameraLayoutError);
+});
@@ -0,0 +1,110 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { createApp } = require('../server');
+const { loadConfig, ConfigError } = require('../server/config');
+const { loadAnnotationPipeline } = require('../server/annotations');
+const { createAssetsDir, startServer } = require('./helpers');
+
+let driveA;
+let driveB;
+
+before(() => {
+  driveA = createAssetsDir({ 1: { 'metadata.json': '{"drive": "a"}' } });
+  driveB = createAssetsDir({
+    1: { 'metadata.json': '{"drive": "b"}' },
+    7: { 'metadata.json': '{"drive": "b"}' },
+  });
+});
+
+after(() => {
+  fs.rmSync(driveA, { recursive: true, force: true });
+  fs.rmSync(driveB, { recursive: true, force: true });
+});
+
+test('flags override environment, environment overrides the config file', () => {
+  fs.writeFileSync(path.join(driveA, 'server.config.json'), JSON.stringify({
+    port: 4000,
+    host: '127.0.0.1',
+    assetsDirs: ['.'],
+    metadataCacheSize: 2,
+    cameraLayout: [{ name: 'dms', label: 'DMS' }],
+  }));
+
+  const config = loadConfig({
+    cwd: driveA,
+    argv: ['--port', '5000', '--categories', 'dsf,cross'],
+    env: { PORT: '4500', METADATA_CACHE_SIZE: '4' },
+    availableCategories: ['dsf', 'cross', 'detection'],
+  });
+
+  assert.equal(config.port, 5000);
+  assert.equal(config.host, '127.0.0.1');
+  assert.deepEqual(config.assetsDirs, [driveA]);
+  assert.equal(config.metadataCacheSize, 4);
+  assert.deepEqual(config.annotationCategories, ['dsf', 'cross']);
+  assert.equal(config.cameraLayout[0].name, 'dms');
+  assert.equal(config.logLevel, 'info');
+
+  fs.rmSync(path.join(driveA, 'server.config.json'));
+});
+
+test('repeated --assets flags configure several roots', () => {
+  const config = loadConfig({ cwd: driveA, argv: ['--assets', driveA, '--assets', driveB], env: {} });
+  assert.deepEqual(config.assetsDirs, [driveA, driveB]);
+  assert.equal(loadConfig({ argv: ['--help'], env: {} }), null);
+});
+
+test('every problem is reported at once', () => {
+  assert.throws(() => loadConfig({
+    cwd: driveA,
+    argv: ['--assets', path.join(driveA, 'missing'), '--port', 'http', '--categories', 'dsf,nope'],
+    env: { LOG_LEVEL: 'loud' },
+    availableCategories: ['dsf'],
+  }), error => {
+    assert.ok(error instanceof ConfigError);
+    assert.equal(error.problems.length, 4);
+    assert.match(error.message, /port must be an integer/);
+    assert.match(error.message, /missing does not exist/);
+    assert.match(error.message, /unknown nope/);
+    assert.match(error.message, /logLevel must be one of/);
+    return true;
+  });
+
+  assert.throws(() => loadConfig({ argv: ['--config', path.join(driveA, 'nope.json')], env: {} }), /cannot read config file/);
+  assert.throws(() => loadConfig({ argv: ['--verbose'], env: {} }), ConfigError);
+});
+
+test('datasets are served from the first root that has them', async () => {
+  const server = await startServer(createApp({ assetsDirs: [driveA, driveB], annotationCategories: ['hello'] }));
+  try {
+    const { datasets } = await (await fetch(`${server.baseUrl}/datasets`)).json();
+    assert.deepEqual(datasets.map(dataset => dataset.id), ['1', '7']);
+
+    assert.deepEqual(await (await fetch(`${server.baseUrl}/metadata/1`)).json(), { drive: 'a' });
+    assert.deepEqual(await (await fetch(`${server.baseUrl}/metadata/7`)).json(), { drive: 'b' });
+
+    const disabled = await fetch(`${server.baseUrl}/annotations/1?categories=dsf`);
+    assert.equal(disabled.status, 400);
+    assert.deepEqual((await disabled.json()).error.available, ['hello']);
+  } finally {
+    await server.close();
+  }
+});
+
+test('the example config enables every category the player requests', async () => {
+  const example = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'server.config.example.json'), 'utf8'));
+  const { Extractors } = await loadAnnotationPipeline();
+  const config = loadConfig({
+    cwd: driveA,
+    argv: ['--config', path.join(__dirname, '..', 'server.config.example.json'), '--assets', driveA],
+    env: {},
+    availableCategories: Object.keys(Extractors),
+  });
+  assert.deepEqual(config.annotationCategories, example.annotationCategories);
+  for (const category of ['dsf', 'cross', 'keyframed']) {
+    assert.ok(config.annotationCategories.includes(category), category);
+  }
+});
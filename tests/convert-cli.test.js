@@ -0,0 +1,94 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { main, checkManifest } = require('../cli/convert');
+const { createAssetsDir } = require('./helpers');
+
+// laneCalibrationParams entries that are not arrays make the dsf extractor throw
+const BROKEN_LANE_CALIBRATION = JSON.stringify({
+  inference_data: { observations_data: { laneCalibrationParams: [1, 2, 3, 4] } },
+});
+
+let assetsDir;
+
+before(() => {
+  assetsDir = createAssetsDir({
+    1: { 'metadata.json': '{"alertId": "A1"}' },
+    2: { 'metadata.json': BROKEN_LANE_CALIBRATION },
+    3: { 'inward.mp4': '' },
+  });
+});
+
+after(() => {
+  fs.rmSync(assetsDir, { recursive: true, force: true });
+});
+
+async function run(...argv) {
+  let stdout = '';
+  let stderr = '';
+  const code = await main(argv, {
+    stdout: { write: chunk => { stdout += chunk; } },
+    stderr: { write: chunk => { stderr += chunk; } },
+  });
+  return { code, stdout, stderr };
+}
+
+test('converts one metadata file to a manifest file', async () => {
+  const output = path.join(assetsDir, 'manifest.json');
+  const { code, stderr } = await run(path.join(assetsDir, '1', 'metadata.json'), '--categories', 'hello,text', '-o', output);
+
+  assert.equal(code, 0);
+  assert.match(stderr, /hello=1 text=1/);
+  const manifest = JSON.parse(fs.readFileSync(output, 'utf8'));
+  assert.deepEqual(Object.keys(manifest.items), ['hello', 'text']);
+  assert.equal(manifest.items.text[0].data.text, 'Alert ID: A1');
+});
+
+test('a failing extractor makes the exit code non-zero', async () => {
+  const { code, stdout, stderr } = await run(path.join(assetsDir, '2', 'metadata.json'), '--categories', 'dsf,hello');
+
+  assert.equal(code, 1);
+  assert.match(stderr, /extractor failed - dsf:/);
+  // The categories that did work are still written
+  assert.deepEqual(Object.keys(JSON.parse(stdout).items), ['hello']);
+});
+
+test('batch mode prints counts per dataset', async () => {
+  const outDir = path.join(assetsDir, '.manifests');
+  const { code, stdout } = await run('--all', '--assets', assetsDir, '--categories', 'hello,dsf', '--out-dir', outDir);
+
+  assert.equal(code, 1);
+  const lines = stdout.trim().split('\n');
+  assert.equal(lines[0], '1\thello=1 dsf=0\ttotal=1');
+  assert.equal(lines[1], '2\thello=1\ttotal=1');
+  assert.match(lines[2], /^3\tskipped/);
+  assert.deepEqual(fs.readdirSync(outDir).sort(), ['1.json', '2.json']);
+});
+
+test('--filter keeps the matching annotations only', async () => {
+  const metadataPath = path.join(assetsDir, '1', 'metadata.json');
+  const { code, stdout } = await run(metadataPath, '--categories', 'hello,text', '--filter', 'category == "text"');
+
+  assert.equal(code, 0);
+  const manifest = JSON.parse(stdout);
+  assert.deepEqual([manifest.items.hello.length, manifest.items.text.length], [0, 1]);
+});
+
+test('bad usage exits with 2', async () => {
+  assert.equal((await run('--categories', 'nope', 'x.json')).code, 2);
+  assert.equal((await run('--filter', 'category ==', 'x.json')).code, 2);
+  assert.equal((await run()).code, 2);
+  assert.equal((await run(path.join(assetsDir, 'missing.json'))).code, 2);
+});
+
+test('checkManifest reports misplaced and malformed annotations', async () => {
+  assert.deepEqual(await checkManifest({ items: { cross: [{ category: 'cross', startTimeMs: 0, durationMs: 1, data: {} }] } }), []);
+  assert.deepEqual(await checkManifest({ items: { cross: [{ id: 'c1', category: 'text', startTimeMs: 0, durationMs: 1, data: {} }] } }), [
+    '$.items.cross[0].category (c1): must be "cross"',
+  ]);
+  assert.deepEqual(await checkManifest({ items: { cross: [{ category: 'cross', startTimeMs: 'soon', durationMs: 1, data: {} }] } }), [
+    '$.items.cross[0].startTimeMs: must be number, got string',
+  ]);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Annotation, AnnotationManifest } from '../annotations/annotation-manifest.js';
+import {
+  fitVideoRect,
+  getNormalizingScale,
+  pixelSpace,
+  toNormalizedBox,
+  toNormalizedPoint,
+} from '../annotations/coordinate-space.js';
+
+test('pixel geometry is normalized by its reference resolution', () => {
+  const space = pixelSpace(1920, 1080);
+  assert.deepEqual(toNormalizedPoint({ x: 960, y: 540, timeMs: 5 }, space), { x: 0.5, y: 0.5, timeMs: 5 });
+  assert.deepEqual(toNormalizedBox({ x: 480, y: 270, width: 960, height: 540 }, space),
+    { x: 0.25, y: 0.25, width: 0.5, height: 0.5 });
+  assert.deepEqual(toNormalizedPoint({ x: 0.1, y: 0.2 }, 'normalized'), { x: 0.1, y: 0.2 });
+  assert.deepEqual(getNormalizingScale(null), { x: 1, y: 1 });
+  assert.throws(() => getNormalizingScale({ units: 'inches' }), /Unknown coordinate space/);
+});
+
+test('fitVideoRect letterboxes the frame inside its element', () => {
+  // 16:9 video in a square element: bars above and below
+  assert.deepEqual(fitVideoRect(1000, 1000, 1920, 1080), { x: 0, y: 218.75, width: 1000, height: 562.5 });
+  // Square video in a wide element: bars left and right
+  assert.deepEqual(fitVideoRect(800, 400, 1296, 1296), { x: 200, y: 0, width: 400, height: 400 });
+  // Metadata not loaded yet: the whole element
+  assert.deepEqual(fitVideoRect(640, 360, 0, 0), { x: 0, y: 0, width: 640, height: 360 });
+});
+
+test('annotations declare their space and the schema checks it', () => {
+  const box = new Annotation('detection', 0, 100, { bbox: { x: 640, y: 300, width: 200, height: 120 } }, {
+    coordinateSpace: pixelSpace(1920, 1080),
+  });
+  assert.deepEqual(Annotation.fromJSON(box.toJSON()).coordinateSpace, { units: 'pixels', width: 1920, height: 1080 });
+
+  const manifest = new AnnotationManifest('1.0', {}, { detection: [box] });
+  assert.equal(manifest.validate(), true);
+
+  manifest.addItem({ ...box.toJSON(), id: 'bad', coordinateSpace: { units: 'pixels', width: 0, height: 1080 } });
+  assert.deepEqual(manifest.getValidationErrors().map(error => error.annotationId), ['bad']);
+});
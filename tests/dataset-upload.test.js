@@ -0,0 +1,129 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const { createApp } = require('../server');
+const { createUploadHandlers, validateMetadataStructure } = require('../server/dataset-upload');
+const { createAssetsDir, startServer } = require('./helpers');
+
+// 24 byte ftyp box: major brand isom, compatible brands isom and iso2
+const MP4_HEADER = Buffer.from('000000186674797069736f6d0000020069736f6d69736f32', 'hex');
+const METADATA = JSON.stringify({
+  inference_data: { observations_data: { carBoxTrackerList: [[1000, []], [1033, []]] } },
+});
+
+let assetsDir;
+let server;
+
+before(async () => {
+  assetsDir = createAssetsDir({ 1: { 'metadata.json': '{}' } });
+  server = await startServer(createApp({ assetsDir, uploadFileLimitBytes: 64 * 1024 }));
+});
+
+after(async () => {
+  await server.close();
+  fs.rmSync(assetsDir, { recursive: true, force: true });
+});
+
+function upload(files) {
+  const form = new FormData();
+  for (const [field, filename, content] of files) {
+    form.append(field, new Blob([content]), filename);
+  }
+  return fetch(`${server.baseUrl}/datasets`, { method: 'POST', body: form });
+}
+
+function stagingEntries() {
+  const stagingRoot = path.join(assetsDir, '.uploads');
+  return fs.existsSync(stagingRoot) ? fs.readdirSync(stagingRoot) : [];
+}
+
+test('validateMetadataStructure reports malformed tracker frames', () => {
+  assert.deepEqual(validateMetadataStructure(JSON.parse(METADATA)), []);
+  assert.deepEqual(validateMetadataStructure([]), ['metadata.json must contain a JSON object']);
+  assert.deepEqual(
+    validateMetadataStructure({ inference_data: { observations_data: { carBoxTrackerList: [[1000, []], ['x']] } } }),
+    ['carBoxTrackerList[1] must be a [timestamp, detections] frame']
+  );
+});
+
+test('an upload becomes the next dataset and is listed in the catalog', async () => {
+  const response = await upload([
+    ['metadata', 'metadata.json', METADATA],
+    ['videos', 'inward.mp4', MP4_HEADER],
+    ['videos', 'outward.mp4', MP4_HEADER],
+  ]);
+  assert.equal(response.status, 201);
+
+  const entry = await response.json();
+  assert.equal(entry.id, '2');
+  assert.deepEqual(entry.cameras.map(camera => camera.name), ['inward', 'outward']);
+  assert.deepEqual(entry.cameras.map(camera => camera.contentType), ['video/mp4', 'video/mp4']);
+  assert.deepEqual(entry.metadata.timestampRange, { startMs: 1000, endMs: 1033, frameCount: 2 });
+
+  const { datasets } = await (await fetch(`${server.baseUrl}/datasets`)).json();
+  assert.deepEqual(datasets.map(dataset => dataset.id), ['1', '2']);
+});
+
+test('invalid uploads are rejected without leaving files behind', async () => {
+  const invalidMetadata = await upload([
+    ['metadata', 'metadata.json', '{"inference_data": []}'],
+    ['videos', 'inward.mp4', MP4_HEADER],
+  ]);
+  assert.equal(invalidMetadata.status, 400);
+  assert.equal((await invalidMetadata.json()).error.code, 'INVALID_METADATA');
+
+  const badName = await upload([
+    ['metadata', 'metadata.json', METADATA],
+    ['videos', 'inward.txt', MP4_HEADER],
+  ]);
+  assert.equal(badName.status, 400);
+  assert.equal((await badName.json()).error.code, 'INVALID_FILENAME');
+
+  const noVideos = await upload([['metadata', 'metadata.json', METADATA]]);
+  assert.equal(noVideos.status, 400);
+  assert.equal((await noVideos.json()).error.code, 'MISSING_VIDEOS');
+
+  const tooLarge = await upload([
+    ['metadata', 'metadata.json', METADATA],
+    ['videos', 'inward.mp4', Buffer.alloc(128 * 1024)],
+  ]);
+  assert.equal(tooLarge.status, 413);
+  assert.equal((await tooLarge.json()).error.code, 'LIMIT_FILE_SIZE');
+
+  // Cleanup runs when the response closes
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.deepEqual(stagingEntries(), []);
+  assert.deepEqual(fs.readdirSync(assetsDir).filter(name => !name.startsWith('.')), ['1', '2']);
+});
+
+test('a stored dataset is reported as created even when describing it fails', async () => {
+  const root = createAssetsDir({});
+  const failures = [];
+  const app = express();
+  app.post('/datasets', ...createUploadHandlers({
+    assetsRoots: [root],
+    maxFileBytes: 64 * 1024,
+    onCreated() {
+      throw new Error('catalog unavailable');
+    },
+    onCreatedError: (id, error) => failures.push([id, error.message]),
+  }));
+  const other = await startServer(app);
+  try {
+    const form = new FormData();
+    form.append('metadata', new Blob([METADATA]), 'metadata.json');
+    form.append('videos', new Blob([MP4_HEADER]), 'inward.mp4');
+    const response = await fetch(`${other.baseUrl}/datasets`, { method: 'POST', body: form });
+
+    assert.equal(response.status, 201);
+    assert.deepEqual(await response.json(), { id: '1' });
+    assert.deepEqual(failures, [['1', 'catalog unavailable']]);
+    assert.ok(fs.existsSync(path.join(root, '1', 'inward.mp4')));
+  } finally {
+    await other.close();
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
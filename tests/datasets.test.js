@@ -0,0 +1,107 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const fsPromises = require('fs/promises');
+const path = require('path');
+
+const { createApp } = require('../server');
+const { listDatasets } = require('../server/datasets');
+const { createAssetsDir, startServer } = require('./helpers');
+
+const METADATA = {
+  alertId: 'alert-7',
+  inference_data: {
+    observations_data: {
+      laneCalibrationParams: [[960, 540], null, [200, 1700], 1080],
+      carBoxTrackerList: [[1752673813400, []], [1752673813000, []], ['not a timestamp'], [1752673813200, []]],
+    },
+  },
+};
+
+let assetsDir;
+let server;
+
+before(async () => {
+  assetsDir = createAssetsDir({
+    1: { 'metadata.json': JSON.stringify(METADATA) },
+    2: { 'metadata.json': JSON.stringify({ alertId: 'alert-8' }) },
+    3: { 'metadata.json': '{ broken' },
+    4: { 'outward.mp4': '' },
+  });
+  server = await startServer(createApp({ assetsDir }));
+});
+
+after(async () => {
+  await server.close();
+  fs.rmSync(assetsDir, { recursive: true, force: true });
+});
+
+async function getCatalog() {
+  const response = await fetch(`${server.baseUrl}/datasets`);
+  assert.equal(response.status, 200);
+  return Object.fromEntries((await response.json()).datasets.map(dataset => [dataset.id, dataset.metadata]));
+}
+
+test('catalog summarizes each metadata.json', async () => {
+  const catalog = await getCatalog();
+
+  assert.equal(catalog[1].alertId, 'alert-7');
+  assert.equal(catalog[1].hasLaneCalibration, true);
+  assert.deepEqual(catalog[1].timestampRange, { startMs: 1752673813000, endMs: 1752673813400, frameCount: 3 });
+
+  assert.equal(catalog[2].hasLaneCalibration, false);
+  assert.equal(catalog[2].timestampRange, null);
+
+  assert.match(catalog[3].error, /Failed to parse metadata/);
+  assert.deepEqual(catalog[4], { present: false });
+});
+
+test('catalog picks up a rewritten metadata.json', async () => {
+  assert.equal((await getCatalog())[2].hasLaneCalibration, false);
+
+  fs.writeFileSync(path.join(assetsDir, '2', 'metadata.json'), JSON.stringify({
+    alertId: 'alert-8b',
+    inference_data: { observations_data: { laneCalibrationParams: [], carBoxTrackerList: [[5, []]] } },
+  }));
+
+  const catalog = await getCatalog();
+  assert.equal(catalog[2].alertId, 'alert-8b');
+  assert.equal(catalog[2].hasLaneCalibration, true);
+  assert.deepEqual(catalog[2].timestampRange, { startMs: 5, endMs: 5, frameCount: 1 });
+});
+
+test('unchanged metadata is summarized once and removed datasets are forgotten', async () => {
+  const metadataSummaries = new Map();
+  const [first] = await listDatasets(assetsDir, { metadataSummaries });
+  const [again] = await listDatasets(assetsDir, { metadataSummaries });
+  assert.equal(again.metadata, first.metadata);
+  assert.equal(metadataSummaries.size, 3);
+
+  const otherDir = createAssetsDir({ 9: { 'metadata.json': '{}' } });
+  try {
+    await listDatasets(otherDir, { metadataSummaries });
+    assert.deepEqual([...metadataSummaries.keys()], [path.join(otherDir, '9', 'metadata.json')]);
+  } finally {
+    fs.rmSync(otherDir, { recursive: true, force: true });
+  }
+});
+
+test('a dataset removed during the scan is left out of the catalog', async () => {
+  const otherDir = createAssetsDir({
+    1: { 'metadata.json': '{}' },
+    2: { 'metadata.json': '{}', 'outward.mp4': '' },
+  });
+  // Gone between listing the assets directory and reading the dataset folder
+  const original = fsPromises.readdir;
+  const readdir = mock.method(fsPromises, 'readdir', async (dir, ...args) => {
+    if (dir === path.join(otherDir, '2')) fs.rmSync(dir, { recursive: true, force: true });
+    return original.call(fsPromises, dir, ...args);
+  });
+  try {
+    const datasets = await listDatasets(otherDir);
+    assert.deepEqual(datasets.map(dataset => dataset.id), ['1']);
+  } finally {
+    readdir.mock.restore();
+    fs.rmSync(otherDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,88 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { main } = require('../cli/diff');
+const { createAssetsDir } = require('./helpers');
+
+const box = x => ({ bbox: { x, y: 0.1, width: 0.2, height: 0.2 } });
+
+const OLD_RUN = {
+  version: '1.0',
+  metadata: {},
+  items: {
+    detection: [
+      { id: 'a', category: 'detection', startTimeMs: 0, durationMs: 100, data: box(0.1) },
+      { id: 'b', category: 'detection', startTimeMs: 200, durationMs: 100, data: box(0.5) },
+    ],
+  },
+};
+
+const NEW_RUN = {
+  version: '1.0',
+  metadata: {},
+  items: {
+    detection: [
+      { id: 'a', category: 'detection', startTimeMs: 0, durationMs: 150, data: box(0.1) },
+      { id: 'c', category: 'detection', startTimeMs: 900, durationMs: 100, data: box(0.5) },
+    ],
+  },
+};
+
+let dir;
+
+before(() => {
+  dir = createAssetsDir({
+    runs: {
+      'old.json': JSON.stringify(OLD_RUN),
+      'new.json': JSON.stringify(NEW_RUN),
+      'broken.json': '{',
+    },
+  });
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function run(...argv) {
+  let stdout = '';
+  let stderr = '';
+  const code = await main(argv, {
+    stdout: { write: chunk => { stdout += chunk; } },
+    stderr: { write: chunk => { stderr += chunk; } },
+  });
+  return { code, stdout, stderr };
+}
+
+const file = name => path.join(dir, 'runs', name);
+
+test('lists added, removed and changed annotations per category', async () => {
+  const overlay = path.join(dir, 'overlay.json');
+  const { code, stdout } = await run(file('old.json'), file('new.json'), '--overlay', overlay);
+
+  assert.equal(code, 1);
+  assert.deepEqual(stdout.trim().split('\n'), [
+    'detection\tadded=1 removed=1 changed=1 unchanged=0',
+    '  + c 900-1000ms',
+    '  - b 200-300ms',
+    '  ~ a 0-150ms (durationMs)',
+    'total\tadded=1 removed=1 changed=1 unchanged=0',
+  ]);
+
+  const { items } = JSON.parse(fs.readFileSync(overlay, 'utf8'));
+  assert.deepEqual(items.detection.map(annotation => annotation.provenance.status), ['added', 'removed', 'changed']);
+});
+
+test('identical manifests exit with 0 and --json prints the diff', async () => {
+  const { code, stdout } = await run(file('old.json'), file('old.json'), '--json');
+  assert.equal(code, 0);
+  assert.deepEqual(JSON.parse(stdout).summary, { added: 0, removed: 0, changed: 0, unchanged: 2 });
+});
+
+test('bad usage exits with 2', async () => {
+  assert.equal((await run(file('old.json'))).code, 2);
+  assert.equal((await run(file('old.json'), file('broken.json'))).code, 2);
+  assert.equal((await run(file('old.json'), file('new.json'), '--iou', '2')).code, 2);
+});
@@ -0,0 +1,47 @@
+// Shared helpers for the server tests: a throwaway assets directory and
+// an app listening on an ephemeral port.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the access log out of the test output (LOG_LEVEL=info to see it)
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+/**
+ * Create a temporary assets directory.
+ * @param {Object<string, Object<string, string|Buffer>>} datasets - Files by dataset id
+ * @returns {string} Absolute path of the assets directory
+ */
+function createAssetsDir(datasets = {}) {
+  const assetsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'browser-annotations-'));
+  for (const [id, files] of Object.entries(datasets)) {
+    fs.mkdirSync(path.join(assetsDir, id), { recursive: true });
+    for (const [filename, content] of Object.entries(files)) {
+      fs.writeFileSync(path.join(assetsDir, id, filename), content);
+    }
+  }
+  return assetsDir;
+}
+
+/**
+ * Start an express app on a random port.
+ * @param {import('express').Express} app
+ * @returns {Promise<{baseUrl: string, close: Function}>}
+ */
+function startServer(app) {
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        baseUrl: `http://127.0.0.1:${port}`,
+        close: () => new Promise(done => {
+          server.close(done);
+          server.closeAllConnections();
+        }),
+      });
+    });
+  });
+}
+
+module.exports = { createAssetsDir, startServer };
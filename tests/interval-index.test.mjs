@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Annotation, AnnotationManifest } from '../annotations/annotation-manifest.js';
+import { IntervalIndex } from '../annotations/interval-index.js';
+
+// Small deterministic PRNG so failures reproduce
+function random(seed) {
+  return () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+}
+
+function overlaps(annotation, startMs, endMs) {
+  return annotation.startTimeMs <= endMs && annotation.startTimeMs + annotation.durationMs >= startMs;
+}
+
+test('matches a full scan on random intervals', () => {
+  const next = random(7);
+  const annotations = Array.from({ length: 500 }, (_, i) =>
+    new Annotation('detection', Math.floor(next() * 10000), Math.floor(next() * (i % 10 === 0 ? 5000 : 100)), { i }));
+  const index = new IntervalIndex(annotations);
+  const byStart = (a, b) => a.startTimeMs - b.startTimeMs || a.data.i - b.data.i;
+
+  for (let q = 0; q < 200; q++) {
+    const startMs = Math.floor(next() * 11000) - 500;
+    const endMs = startMs + (q % 2 === 0 ? 0 : Math.floor(next() * 300));
+    const expected = annotations.filter(annotation => overlaps(annotation, startMs, endMs)).sort(byStart);
+    assert.deepEqual(index.getInRange(startMs, endMs).sort(byStart), expected);
+  }
+});
+
+test('both ends of an annotation are inclusive', () => {
+  const index = new IntervalIndex([new Annotation('text', 1000, 500, { text: 'x' })]);
+  assert.equal(index.getActiveAt(999).length, 0);
+  assert.equal(index.getActiveAt(1000).length, 1);
+  assert.equal(index.getActiveAt(1500).length, 1);
+  assert.equal(index.getActiveAt(1501).length, 0);
+  assert.equal(new IntervalIndex([]).getActiveAt(0).length, 0);
+});
+
+test('manifest time queries filter by category and follow changes', () => {
+  const manifest = new AnnotationManifest('1.0', {}, {
+    detection: [new Annotation('detection', 0, 100, { n: 1 }), new Annotation('detection', 200, 100, { n: 2 })],
+    text: [new Annotation('text', 50, 1000, { text: 'x' })],
+  });
+
+  assert.deepEqual(manifest.getActiveAt(60).map(annotation => annotation.category), ['detection', 'text']);
+  assert.deepEqual(manifest.getActiveAt(60, ['text']).map(annotation => annotation.category), ['text']);
+  assert.equal(manifest.getInRange(90, 210, ['detection']).length, 2);
+  assert.deepEqual(manifest.getActiveAt(60, ['nope']), []);
+
+  const late = manifest.addItem(new Annotation('detection', 40, 100, { n: 3 }));
+  assert.equal(manifest.getActiveAt(60, ['detection']).length, 2);
+  manifest.removeItem(late.id);
+  assert.equal(manifest.getActiveAt(60, ['detection']).length, 1);
+  manifest.clear();
+  assert.deepEqual(manifest.getActiveAt(60), []);
+});
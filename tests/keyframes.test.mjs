@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { sampleKeyframes } from '../annotations/keyframes.js';
+import { MetadataToAnnotationConverter } from '../annotations/metadata-to-annotation-converter.js';
+import { extractOutwardDetections } from '../annotations/extractors-folder/outward_bb.js';
+
+const box = x => ({ x, y: 0.1, width: 0.2, height: 0.2 });
+const KEYFRAMES = [
+  { offsetMs: 0, bbox: box(0), confidence: 0.5 },
+  { offsetMs: 200, bbox: box(0.4), confidence: 0.7 },
+];
+
+test('linear, step and ease sample between keyframes', () => {
+  assert.deepEqual(sampleKeyframes(KEYFRAMES, 100, 'linear').bbox, box(0.2));
+  assert.ok(Math.abs(sampleKeyframes(KEYFRAMES, 100).confidence - 0.6) < 1e-9);
+  assert.deepEqual(sampleKeyframes(KEYFRAMES, 199, 'step').bbox, box(0));
+  // Ease starts slower than linear and meets it half way
+  assert.ok(sampleKeyframes(KEYFRAMES, 50, 'ease').bbox.x < 0.1);
+  assert.ok(Math.abs(sampleKeyframes(KEYFRAMES, 100, 'ease').bbox.x - 0.2) < 1e-9);
+  assert.throws(() => sampleKeyframes(KEYFRAMES, 100, 'cubic'), /Unknown interpolation 'cubic'/);
+});
+
+test('the first and last keyframes are held outside the keyframe range', () => {
+  assert.equal(sampleKeyframes(KEYFRAMES, -50), KEYFRAMES[0]);
+  assert.equal(sampleKeyframes(KEYFRAMES, 500), KEYFRAMES[1]);
+  assert.equal(sampleKeyframes([], 0), null);
+});
+
+test('points and polylines interpolate; polylines of different lengths hold', () => {
+  const line = [
+    { offsetMs: 0, points: [{ x: 0, y: 0 }, { x: 1, y: 0 }] },
+    { offsetMs: 100, points: [{ x: 0, y: 1 }, { x: 1, y: 1 }] },
+    { offsetMs: 200, points: [{ x: 0, y: 0 }] },
+  ];
+  assert.deepEqual(sampleKeyframes(line, 50).points, [{ x: 0, y: 0.5 }, { x: 1, y: 0.5 }]);
+  assert.deepEqual(sampleKeyframes(line, 150).points, line[1].points);
+});
+
+test('outward detections are pixel boxes in a declared space', () => {
+  const metadata = { inference_data: { observations_data: { carBoxTrackerList: [
+    [1000, [{ id: 7, xctr: 100.4, yctr: 50, width: 21, height: 10, detectionConf: 0.9, dist: 12.5 }]],
+  ] } } };
+  const [frame] = extractOutwardDetections(metadata);
+  assert.deepEqual(frame.coordinateSpace, { units: 'pixels', width: 1920, height: 1080 });
+  assert.deepEqual(frame.objects[0].bbox, { x: 90, y: 45, width: 21, height: 10 });
+  assert.equal(frame.objects[0].distance, 12.5);
+});
+
+test('carBoxTrackerList tracks become one keyframed annotation each', () => {
+  const START = 1752673813000;
+  const frames = [];
+  for (let i = 0; i < 10; i++) {
+    frames.push([START + i * 200, [
+      { id: 227, xctr: 1000 + i * 10, yctr: 560, width: 40, height: 20, detectionConf: 0.8, objectClass: 1 },
+      { id: 251, xctr: 800, yctr: 570, width: 36, height: 36, detectionConf: 0.6, objectClass: 2 },
+    ]]);
+  }
+  const metadata = { inference_data: { observations_data: { carBoxTrackerList: frames } } };
+
+  const manifest = MetadataToAnnotationConverter.convertToManifest(metadata, ['keyframed'], {
+    streams: { outward: { videoStartEpochMs: START - 1000 } },
+  });
+
+  // 20 per-frame boxes, 2 annotations
+  assert.equal(manifest.count, 2);
+  const track = manifest.getItem('track-227');
+  assert.equal(track.startTimeMs, 1000);
+  assert.equal(track.durationMs, 2000);
+  assert.deepEqual(track.coordinateSpace, { units: 'pixels', width: 1920, height: 1080 });
+  assert.deepEqual(track.data.keyframes[1], { offsetMs: 200, bbox: { x: 990, y: 550, width: 40, height: 20 }, confidence: 0.8 });
+  assert.deepEqual(sampleKeyframes(track.data.keyframes, 100).bbox, { x: 985, y: 550, width: 40, height: 20 });
+  assert.deepEqual(manifest.metadata.categoryStreams, { keyframed: 'outward' });
+  assert.equal(manifest.validate(), true);
+});
+
+test('track id 0 is a track, only detections without an id are untracked', () => {
+  const detection = { xctr: 100, yctr: 50, width: 20, height: 10, detectionConf: 0.9 };
+  const metadata = { inference_data: { observations_data: { carBoxTrackerList: [
+    [1000, [{ ...detection, id: 0 }, { ...detection, idx: 0 }, detection]],
+    [1200, [{ ...detection, id: 0 }, { ...detection, idx: 0 }, detection]],
+  ] } } };
+
+  assert.deepEqual(extractOutwardDetections(metadata)[0].objects.map(object => object.track_id), [0, 0, -1]);
+
+  const manifest = MetadataToAnnotationConverter.convertToManifest(metadata, ['keyframed']);
+  const tracks = manifest.items.keyframed;
+  assert.deepEqual(tracks.filter(track => track.data.trackId === 0).map(track => track.data.keyframes.length), [4]);
+  // Untracked detections stay one annotation per frame
+  assert.equal(tracks.filter(track => track.data.trackId === undefined).length, 2);
+});
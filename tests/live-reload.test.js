@@ -0,0 +1,85 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const { createApp } = require('../server');
+const { createAssetsDir, startServer } = require('./helpers');
+
+let assetsDir;
+let app;
+let server;
+
+before(async () => {
+  assetsDir = createAssetsDir({ 1: { 'metadata.json': '{}' } });
+  app = createApp({ assetsDir });
+  server = await startServer(app);
+});
+
+after(async () => {
+  app.locals.datasetWatcher.close();
+  await server.close();
+  fs.rmSync(assetsDir, { recursive: true, force: true });
+});
+
+// Open an event stream and collect parsed events until `until` returns true
+function collectEvents(urlPath, until) {
+  return new Promise((resolve, reject) => {
+    const events = [];
+    const { hostname, port } = new URL(server.baseUrl);
+    const request = http.get({ hostname, port, path: urlPath }, response => {
+      assert.equal(response.headers['content-type'], 'text/event-stream');
+      let buffer = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => {
+        buffer += chunk;
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, boundary);
+          buffer = buffer.slice(boundary + 2);
+          const event = /^event: (.*)$/m.exec(block);
+          const data = /^data: (.*)$/m.exec(block);
+          if (event && data) {
+            events.push({ event: event[1], data: JSON.parse(data[1]) });
+            if (until(events)) {
+              request.destroy();
+              resolve(events);
+            }
+          }
+        }
+      });
+    });
+    request.on('error', error => {
+      if (error.code !== 'ECONNRESET') reject(error);
+    });
+  });
+}
+
+test('metadata.json changes are pushed over SSE', async () => {
+  const received = collectEvents('/events/1', events => {
+    if (events.length === 1) {
+      // Stream is open: regenerate the metadata
+      fs.writeFileSync(path.join(assetsDir, '1', 'metadata.json'), '{"regenerated": true}');
+    }
+    return events.some(entry => entry.event === 'change');
+  });
+
+  const events = await received;
+  assert.deepEqual(events[0], { event: 'ready', data: { id: '1' } });
+
+  const change = events.find(entry => entry.event === 'change').data;
+  assert.equal(change.id, '1');
+  assert.equal(change.file, 'metadata.json');
+  assert.equal(change.kind, 'metadata');
+});
+
+test('watchers are released when the last stream closes', async () => {
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(app.locals.datasetWatcher.watchedCount(), 0);
+});
+
+test('unknown dataset returns 404 instead of a stream', async () => {
+  const response = await fetch(`${server.baseUrl}/events/9`);
+  assert.equal(response.status, 404);
+});
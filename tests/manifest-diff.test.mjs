@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Annotation, AnnotationManifest } from '../annotations/annotation-manifest.js';
+import { boxIoU, diffManifests, diffToOverlay, DIFF_COLORS } from '../annotations/manifest-diff.js';
+
+const detection = (id, startTimeMs, x, extra = {}) =>
+  new Annotation('detection', startTimeMs, 100, { bbox: { x, y: 0.1, width: 0.2, height: 0.2 }, ...extra }, { id });
+
+const before = new AnnotationManifest('1.0', {}, {
+  detection: [
+    detection('car-1', 0, 0.1),
+    detection('car-2', 500, 0.5),
+    detection('old-run-7', 1000, 0.3, { confidence: 0.6 }),
+    detection('ghost', 2000, 0.7),
+  ],
+  text: [new Annotation('text', 0, 1000, { text: 'Alert ID: A1' }, { id: 'alert' })],
+});
+
+const after = new AnnotationManifest('1.0', {}, {
+  detection: [
+    detection('car-1', 0, 0.1),
+    detection('car-2', 500, 0.52),
+    // Same box as old-run-7 but a new id and confidence
+    detection('new-run-3', 1000, 0.31, { confidence: 0.8 }),
+    detection('truck', 3000, 0.4),
+  ],
+  text: [new Annotation('text', 0, 1000, { text: 'Alert ID: A1' }, { id: 'alert' })],
+  hello: [new Annotation('hello', 0, 10, { message: 'hi' })],
+});
+
+test('boxIoU', () => {
+  const box = { x: 0, y: 0, width: 0.2, height: 0.2 };
+  assert.equal(boxIoU(box, box), 1);
+  assert.equal(boxIoU(box, { ...box, x: 0.5 }), 0);
+  assert.ok(Math.abs(boxIoU(box, { ...box, x: 0.1 }) - 1 / 3) < 1e-9);
+});
+
+test('pairs by id, then by time overlap and IoU', () => {
+  const diff = diffManifests(before, after);
+  const { detection: detections } = diff.categories;
+
+  assert.deepEqual(diff.summary, { added: 2, removed: 1, changed: 2, unchanged: 2 });
+  assert.deepEqual(detections.added.map(annotation => annotation.id), ['truck']);
+  assert.deepEqual(detections.removed.map(annotation => annotation.id), ['ghost']);
+  assert.deepEqual(detections.changed.map(({ before, after, fields }) => [before.id, after.id, fields]), [
+    ['car-2', 'car-2', ['data.bbox']],
+    ['old-run-7', 'new-run-3', ['data.bbox', 'data.confidence']],
+  ]);
+  assert.equal(diff.categories.text.unchanged, 1);
+  assert.equal(diff.categories.hello.added.length, 1);
+
+  // A strict threshold no longer pairs the renamed box
+  const strict = diffManifests(before.toJSON(), after.toJSON(), { iouThreshold: 0.99, categories: ['detection'] });
+  assert.deepEqual(Object.keys(strict.categories), ['detection']);
+  assert.deepEqual(strict.summary, { added: 2, removed: 2, changed: 1, unchanged: 1 });
+});
+
+test('the overlay colors added, removed and changed annotations', () => {
+  const overlay = diffToOverlay(diffManifests(before, after));
+
+  assert.equal(overlay.getItem('added:truck').style.borderColor, DIFF_COLORS.added);
+  assert.equal(overlay.getItem('removed:ghost').style.borderColor, DIFF_COLORS.removed);
+  assert.equal(overlay.getItem('changed:new-run-3').data.confidence, 0.8);
+  assert.deepEqual(overlay.getItem('added:truck').provenance, { source: 'diff', status: 'added' });
+  assert.equal(overlay.count, 5);
+  assert.equal(overlay.validate(), true);
+});
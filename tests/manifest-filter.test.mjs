@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Annotation, AnnotationManifest } from '../annotations/annotation-manifest.js';
+import { compileFilter, FilterSyntaxError } from '../annotations/manifest-filter.js';
+
+const box = { x: 0.1, y: 0.1, width: 0.2, height: 0.2 };
+
+function track(trackId, classId, confidences, distances) {
+  const keyframes = confidences.map((confidence, i) => ({
+    offsetMs: i * 200,
+    bbox: box,
+    confidence,
+    distance: distances[i],
+  }));
+  return new Annotation('keyframed', 1000, confidences.length * 200, { trackId, classId, keyframes }, {
+    id: `track-${trackId}`,
+  });
+}
+
+const manifest = new AnnotationManifest('1.0', { categoryStreams: { keyframed: 'outward' } }, {
+  keyframed: [
+    track(1, 1, [0.7, 0.8, 0.9], [45, 32, 28]),
+    track(2, 1, [0.4, 0.5, 0.5], [20, 18, 15]),
+    track(3, 2, [0.9, 0.9, 0.9], [60, 55, 50]),
+  ],
+  detection: [
+    new Annotation('detection', 0, 100, { bbox: box, confidence: 0.95, class: 'car' }, { id: 'car' }),
+    new Annotation('detection', 0, 100, { bbox: box, confidence: 0.3, class: 'person' }, {
+      id: 'person', stream: 'inward',
+    }),
+  ],
+  text: [new Annotation('text', 0, 5000, { text: 'Alert ID: A1' }, { id: 'alert' })],
+});
+
+const ids = result => Object.values(result.items).flat().map(annotation => annotation.id);
+
+test('vehicles seen with confidence > 0.6 within 30 m', () => {
+  const result = manifest.query('track.classId == 1 and track.meanConfidence > 0.6 and track.minDistance <= 30');
+  assert.deepEqual(ids(result), ['track-1']);
+  // Categories are kept even when empty
+  assert.deepEqual(result.getCountsByCategory(), { keyframed: 1, detection: 0, text: 0 });
+});
+
+test('annotation fields, data fields and bare data names', () => {
+  assert.deepEqual(ids(manifest.query('category == "detection" and data.confidence > 0.5')), ['car']);
+  assert.deepEqual(ids(manifest.query('confidence < 0.5')), ['person']);
+  assert.deepEqual(ids(manifest.query('class in ["person", "bicycle"]')), ['person']);
+  assert.deepEqual(ids(manifest.query('data.keyframes[2].distance < 20')), ['track-2']);
+  assert.deepEqual(ids(manifest.query('endTimeMs >= 5000')), ['alert']);
+  // Category streams count as the annotation's stream
+  assert.deepEqual(ids(manifest.query('stream == "outward"')), ['track-1', 'track-2', 'track-3']);
+  assert.deepEqual(ids(manifest.query('stream == null')), ['car', 'alert']);
+});
+
+test('and binds tighter than or; not, parentheses and symbol operators', () => {
+  const a = ids(manifest.query('category == "text" or category == "detection" and confidence > 0.5'));
+  assert.deepEqual(a, ['car', 'alert']);
+  const b = ids(manifest.query('(category == "text" || category == "detection") && !(confidence > 0.5)'));
+  assert.deepEqual(b, ['person', 'alert']);
+  assert.deepEqual(ids(manifest.query('NOT category IN ["keyframed", "detection"]')), ['alert']);
+});
+
+test('missing fields are null and only order like with like', () => {
+  const predicate = compileFilter('data.missing.deeper == null');
+  assert.equal(predicate(manifest.getItem('car')), true);
+  // A string never compares with a number
+  assert.equal(compileFilter('class > 1')(manifest.getItem('car')), false);
+  assert.equal(compileFilter('class > "bus"')(manifest.getItem('car')), true);
+  // Not a track
+  assert.equal(compileFilter('track.minDistance < 100')(manifest.getItem('car')), false);
+  assert.equal(compileFilter('track == null')(manifest.getItem('car')), true);
+  assert.equal(compileFilter('startTimeMs >= -1')(manifest.getItem('car')), true);
+});
+
+test('syntax errors name the position', () => {
+  for (const [expression, position] of [
+    ['confidence >', 12],
+    ['confidence = 1', 11],
+    ['(category == "text"', 19],
+    ['class == "car', 9],
+    ['category == "text" extra', 19],
+    ['data.', 5],
+    ['', 0],
+  ]) {
+    assert.throws(() => compileFilter(expression), error => {
+      assert.ok(error instanceof FilterSyntaxError, expression);
+      assert.equal(error.position, position, expression);
+      return true;
+    });
+  }
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validateManifest, validateSchema, formatValidationErrors, MANIFEST_SCHEMA, ManifestValidationError } from '../annotations/manifest-schema.js';
+
+const box = { x: 0.1, y: 0.2, width: 0.3, height: 0.4 };
+
+test('a bbox without height is reported with its JSON path and annotation id', () => {
+  const errors = validateManifest({
+    version: '1.0',
+    items: {
+      detection: [
+        { id: 'car-1', category: 'detection', startTimeMs: 0, durationMs: 100, data: { bbox: box } },
+        { id: 'car-2', category: 'detection', startTimeMs: 0, durationMs: 100, data: { bbox: { x: 0, y: 0, width: 1 } } },
+      ],
+    },
+  });
+
+  assert.deepEqual(errors, [
+    { path: '$.items.detection[1].data.bbox', annotationId: 'car-2', message: "must have required property 'height'" },
+  ]);
+  assert.deepEqual(formatValidationErrors(errors), [
+    "$.items.detection[1].data.bbox (car-2): must have required property 'height'",
+  ]);
+});
+
+test('both time shapes pass and an annotation needs one of them', () => {
+  const text = { text: 'hi', position: { x: 0, y: 0 } };
+  assert.deepEqual(validateManifest({
+    items: {
+      text: [
+        { category: 'text', timeRange: { startMs: 0, endMs: 10 }, data: text },
+        { category: 'text', startTimeMs: 0, durationMs: 10, data: text, style: { color: '#fff' } },
+      ],
+    },
+  }), []);
+
+  const [missing] = validateManifest({ items: { text: [{ id: 't', category: 'text', data: text }] } });
+  assert.equal(missing.path, '$.items.text[0]');
+  assert.match(missing.message, /startTimeMs/);
+});
+
+test('per-category data schemas and the envelope are both checked', () => {
+  const errors = validateManifest({
+    metadata: [],
+    items: {
+      dsf: [{ id: 'lanes', category: 'dsf', startTimeMs: 0, durationMs: 1, data: { vanishing_triangle: [[[0, 1], [0.5]]] } }],
+      trajectory: [{ id: 'path', category: 'trajectory', startTimeMs: 0, durationMs: 1, data: { points: [] } }],
+      custom: [{ id: 'x', category: 'custom', startTimeMs: Infinity, durationMs: 1, data: {}, extra: true }],
+    },
+  });
+
+  assert.deepEqual(errors.map(error => `${error.path} ${error.annotationId}`), [
+    '$.metadata null',
+    '$.items.dsf[0].data.vanishing_triangle lanes',
+    '$.items.dsf[0].data.vanishing_triangle[0][1] lanes',
+    '$.items.trajectory[0].data.points path',
+    '$.items.custom[0].startTimeMs x',
+    '$.items.custom[0] x',
+  ]);
+});
+
+test('graph and text data have the shape their renderers draw', () => {
+  const graph = { position: box, series: [{ name: 'speed', points: [{ timeMs: 0, value: 12 }] }] };
+  assert.deepEqual(validateManifest({
+    items: {
+      graph: [{ id: 'g', category: 'graph', startTimeMs: 0, durationMs: 10, data: graph }],
+      text: [{ id: 't', category: 'text', startTimeMs: 0, durationMs: 10, data: { text: 'hi', position: { x: 0, y: 0 } } }],
+    },
+  }), []);
+
+  const errors = validateManifest({
+    items: {
+      graph: [
+        { id: 'chart', category: 'graph', startTimeMs: 0, durationMs: 10, data: { position: box, datasets: [] } },
+        { id: 'values', category: 'graph', startTimeMs: 0, durationMs: 10, data: { series: [{ points: [{ timeMs: 0 }] }] } },
+      ],
+      text: [{ id: 'note', category: 'text', startTimeMs: 0, durationMs: 10, data: { text: 'hi' } }],
+    },
+  });
+  assert.deepEqual(formatValidationErrors(errors), [
+    "$.items.graph[0].data (chart): must have required property 'series'",
+    "$.items.graph[1].data (values): must have required property 'position'",
+    "$.items.graph[1].data.series[0].points[0] (values): must have required property 'value'",
+    "$.items.text[0].data (note): must have required property 'position'",
+  ]);
+});
+
+test('the schema is plain JSON and the validator supports $ref', () => {
+  assert.deepEqual(JSON.parse(JSON.stringify(MANIFEST_SCHEMA)), MANIFEST_SCHEMA);
+  assert.deepEqual(validateSchema({ a: 'x' }, {
+    type: 'object',
+    properties: { a: { $ref: '#/$defs/n' } },
+    $defs: { n: { type: 'number' } },
+  }), [{ path: '$.a', message: 'must be number, got string' }]);
+
+  const error = new ManifestValidationError([{ path: '$', annotationId: null, message: 'must be object, got null' }]);
+  assert.equal(error.message, 'Invalid annotation manifest: $: must be object, got null');
+});
@@ -0,0 +1,127 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { createApp } = require('../server');
+const { mergePatch } = require('../server/manual-annotations');
+const { createAssetsDir, startServer } = require('./helpers');
+
+const BOX = { category: 'detection', startTimeMs: 1000, durationMs: 500, data: { bbox: { x: 0.1, y: 0.1, width: 0.2, height: 0.2 } } };
+const NOTE = { category: 'text', startTimeMs: 0, durationMs: 2000, data: { text: 'Driver looks away', position: { x: 0.5, y: 0.9 } } };
+
+let assetsDir;
+let server;
+
+before(async () => {
+  assetsDir = createAssetsDir({ 1: { 'metadata.json': '{}' } });
+  server = await startServer(createApp({ assetsDir }));
+});
+
+after(async () => {
+  await server.close();
+  fs.rmSync(assetsDir, { recursive: true, force: true });
+});
+
+function send(method, body, suffix = '') {
+  return fetch(`${server.baseUrl}/annotations/1/manual${suffix}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+}
+
+test('mergePatch follows RFC 7396', () => {
+  assert.deepEqual(mergePatch({ a: 1, b: { c: 2, d: 3 } }, { b: { c: null, e: 4 }, f: [1] }), { a: 1, b: { d: 3, e: 4 }, f: [1] });
+});
+
+test('revisions advance and stale writes get 409', async () => {
+  const empty = await (await send('GET')).json();
+  assert.equal(empty.revision, 0);
+  assert.deepEqual(empty.manifest.items, {});
+
+  const first = await send('PUT', { revision: 0, author: 'reviewer-a', manifest: { version: '1.0', metadata: {}, items: { detection: [BOX] } } });
+  assert.equal(first.status, 200);
+  assert.equal((await first.json()).revision, 1);
+
+  const stale = await send('PUT', { revision: 0, manifest: { version: '1.0', metadata: {}, items: {} } });
+  assert.equal(stale.status, 409);
+  const { error: conflict } = await stale.json();
+  assert.equal(conflict.code, 'REVISION_CONFLICT');
+  assert.equal(conflict.currentRevision, 1);
+
+  const patched = await send('PATCH', { revision: 1, author: 'reviewer-b', patch: { items: { text: [NOTE] } } });
+  assert.equal(patched.status, 200);
+  const second = await patched.json();
+  assert.equal(second.revision, 2);
+  // Each annotation records the reviewer who added it
+  const expected = {
+    detection: [{ ...BOX, provenance: { source: 'manual', author: 'reviewer-a' } }],
+    text: [{ ...NOTE, provenance: { source: 'manual', author: 'reviewer-b' } }],
+  };
+  assert.deepEqual(second.manifest.items, expected);
+
+  const stalePatch = await send('PATCH', { revision: 1, patch: { items: { text: null } } });
+  assert.equal(stalePatch.status, 409);
+
+  // Nothing was overwritten by the rejected writes
+  const current = await (await send('GET')).json();
+  assert.equal(current.revision, 2);
+  assert.deepEqual(current.manifest.items, expected);
+});
+
+test('prior revisions are kept on disk', async () => {
+  const { revisions } = await (await send('GET', undefined, '/history')).json();
+  assert.deepEqual(revisions.map(entry => [entry.revision, entry.author]), [[1, 'reviewer-a'], [2, 'reviewer-b']]);
+
+  const first = await (await send('GET', undefined, '?revision=1')).json();
+  assert.deepEqual(first.manifest.items, { detection: [{ ...BOX, provenance: { source: 'manual', author: 'reviewer-a' } }] });
+  assert.ok(fs.existsSync(path.join(assetsDir, '1', 'manual-annotations.history', '1.json')));
+
+  assert.equal((await send('GET', undefined, '?revision=7')).status, 404);
+});
+
+test('concurrent writes on the same revision: one wins, one conflicts', async () => {
+  const { revision } = await (await send('GET')).json();
+  const manifest = { version: '1.0', metadata: {}, items: {} };
+  const statuses = await Promise.all([
+    send('PUT', { revision, manifest }),
+    send('PUT', { revision, manifest }),
+  ]).then(responses => responses.map(response => response.status).sort());
+  assert.deepEqual(statuses, [200, 409]);
+});
+
+test('provenance the client sent is kept', async () => {
+  const { revision } = await (await send('GET')).json();
+  const imported = { ...NOTE, provenance: { source: 'metadata-converter', extractor: 'text', version: '0.9.0' } };
+  const stored = await (await send('PUT', { revision, manifest: { items: { text: [imported, NOTE] } } })).json();
+  assert.deepEqual(stored.manifest.items.text.map(annotation => annotation.provenance), [
+    imported.provenance,
+    { source: 'manual' },
+  ]);
+});
+
+test('invalid writes are rejected with 400', async () => {
+  const { revision } = await (await send('GET')).json();
+
+  const missingRevision = await send('PUT', { manifest: { items: {} } });
+  assert.equal((await missingRevision.json()).error.code, 'INVALID_REVISION');
+
+  const wrongCategory = await send('PUT', { revision, manifest: { items: { text: [BOX] } } });
+  assert.equal(wrongCategory.status, 400);
+  assert.equal((await wrongCategory.json()).error.code, 'INVALID_MANIFEST');
+
+  const noHeight = { ...BOX, id: 'box-1', data: { bbox: { x: 0, y: 0, width: 0.5 } } };
+  const invalidBox = await send('PUT', { revision, manifest: { items: { detection: [noHeight] } } });
+  assert.equal(invalidBox.status, 400);
+  assert.deepEqual((await invalidBox.json()).error.errors, [
+    { path: '$.items.detection[0].data.bbox', annotationId: 'box-1', message: "must have required property 'height'" },
+  ]);
+
+  const brokenJson = await fetch(`${server.baseUrl}/annotations/1/manual`, {
+    method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: '{"revision":',
+  });
+  assert.equal(brokenJson.status, 400);
+
+  assert.equal((await fetch(`${server.baseUrl}/annotations/9/manual`)).status, 404);
+});
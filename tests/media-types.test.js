@@ -0,0 +1,69 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+const { createApp } = require('../server');
+const { sniffVideoType } = require('../server/media-types');
+const { createAssetsDir, startServer } = require('./helpers');
+
+function ftyp(brand) {
+  return Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from(`ftyp${brand}`, 'latin1'), Buffer.alloc(12)]);
+}
+
+function ebml(docType) {
+  return Buffer.concat([Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0x9f, 0x42, 0x82, 0x84]), Buffer.from(docType, 'latin1')]);
+}
+
+let assetsDir;
+let server;
+
+before(async () => {
+  assetsDir = createAssetsDir({
+    1: {
+      'inward.webm': ebml('webm'),
+      'outward.mov': ftyp('qt  '),
+      // Misnamed file: the header wins over the extension
+      'dms.mp4': ebml('matroska'),
+      'unknown.mkv': Buffer.from('not a real header'),
+    },
+  });
+  server = await startServer(createApp({ assetsDir }));
+});
+
+after(async () => {
+  await server.close();
+  fs.rmSync(assetsDir, { recursive: true, force: true });
+});
+
+test('sniffVideoType recognises the supported containers', () => {
+  assert.equal(sniffVideoType(ftyp('isom')), 'video/mp4');
+  assert.equal(sniffVideoType(ftyp('qt  ')), 'video/quicktime');
+  assert.equal(sniffVideoType(ebml('webm')), 'video/webm');
+  assert.equal(sniffVideoType(ebml('matroska')), 'video/x-matroska');
+  assert.equal(sniffVideoType(Buffer.from('plain text file')), null);
+});
+
+test('video route sends the detected Content-Type', async () => {
+  const expected = {
+    'inward.webm': 'video/webm',
+    'outward.mov': 'video/quicktime',
+    'dms.mp4': 'video/x-matroska',
+    'unknown.mkv': 'video/x-matroska',
+  };
+  for (const [filename, contentType] of Object.entries(expected)) {
+    const response = await fetch(`${server.baseUrl}/video/1/${filename}`, { method: 'HEAD' });
+    assert.equal(response.headers.get('content-type'), contentType, filename);
+  }
+});
+
+test('catalog lists every camera file with its type', async () => {
+  const { datasets } = await (await fetch(`${server.baseUrl}/datasets`)).json();
+  const cameras = datasets[0].cameras.map(camera => [camera.name, camera.contentType]);
+  // Layout order first, then files the layout does not mention
+  assert.deepEqual(cameras, [
+    ['inward', 'video/webm'],
+    ['outward', 'video/quicktime'],
+    ['dms', 'video/x-matroska'],
+    ['unknown', 'video/x-matroska'],
+  ]);
+});
@@ -0,0 +1,113 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const zlib = require('zlib');
+
+const { createApp } = require('../server');
+const { createMetadataCache } = require('../server/metadata-cache');
+const { negotiateEncoding } = require('../server/json-response');
+const { createAssetsDir, startServer } = require('./helpers');
+
+// Large enough to be compressed
+const METADATA = { alertId: 'alert-42', frames: Array.from({ length: 500 }, (_, i) => [i * 200, []]) };
+
+let assetsDir;
+let server;
+
+before(async () => {
+  assetsDir = createAssetsDir({
+    1: { 'metadata.json': JSON.stringify(METADATA) },
+    2: { 'metadata.json': '{}' },
+  });
+  server = await startServer(createApp({ assetsDir, metadataCacheSize: 1 }));
+});
+
+after(async () => {
+  await server.close();
+  fs.rmSync(assetsDir, { recursive: true, force: true });
+});
+
+// Raw request so the body is not decompressed by the client
+function get(urlPath, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const { hostname, port } = new URL(server.baseUrl);
+    http.get({ hostname, port, path: urlPath, headers }, response => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body: Buffer.concat(chunks) }));
+    }).on('error', reject);
+  });
+}
+
+test('negotiateEncoding prefers brotli, honours q values and identity', () => {
+  assert.equal(negotiateEncoding('gzip, deflate, br'), 'br');
+  assert.equal(negotiateEncoding('gzip;q=1, br;q=0.5'), 'gzip');
+  assert.equal(negotiateEncoding('br;q=0, gzip;q=0'), 'identity');
+  assert.equal(negotiateEncoding('*'), 'br');
+  assert.equal(negotiateEncoding(undefined), 'identity');
+});
+
+test('cache re-parses only when the file changes', async () => {
+  const cache = createMetadataCache({ maxEntries: 2 });
+  const filePath = path.join(assetsDir, '2', 'metadata.json');
+
+  const first = await cache.get(filePath);
+  const second = await cache.get(filePath);
+  assert.equal(first.metadata, second.metadata);
+
+  fs.writeFileSync(filePath, '{"changed": true}');
+  const future = new Date(Date.now() + 5000);
+  fs.utimesSync(filePath, future, future);
+
+  const third = await cache.get(filePath);
+  assert.deepEqual(third.metadata, { changed: true });
+  assert.notEqual(third.version, first.version);
+  assert.deepEqual(cache.stats(), {
+    entries: 1, maxEntries: 2, cachedFileBytes: 17, hits: 1, misses: 2, hitRate: 1 / 3,
+  });
+});
+
+test('cache evicts the least recently used document', async () => {
+  const cache = createMetadataCache({ maxEntries: 1 });
+  await cache.get(path.join(assetsDir, '1', 'metadata.json'));
+  await cache.get(path.join(assetsDir, '2', 'metadata.json'));
+  await cache.get(path.join(assetsDir, '1', 'metadata.json'));
+  assert.equal(cache.stats().misses, 3);
+  assert.equal(cache.stats().entries, 1);
+});
+
+test('metadata is compressed according to Accept-Encoding', async () => {
+  const brotli = await get('/metadata/1', { 'Accept-Encoding': 'br, gzip' });
+  assert.equal(brotli.headers['content-encoding'], 'br');
+  assert.equal(brotli.headers.vary, 'Accept-Encoding');
+  assert.deepEqual(JSON.parse(zlib.brotliDecompressSync(brotli.body)), METADATA);
+
+  const gzipped = await get('/metadata/1', { 'Accept-Encoding': 'gzip' });
+  assert.equal(gzipped.headers['content-encoding'], 'gzip');
+  assert.deepEqual(JSON.parse(zlib.gunzipSync(gzipped.body)), METADATA);
+
+  const plain = await get('/metadata/1');
+  assert.equal(plain.headers['content-encoding'], undefined);
+  assert.deepEqual(JSON.parse(plain.body), METADATA);
+  assert.notEqual(plain.headers.etag, gzipped.headers.etag);
+});
+
+test('ETag revalidation returns 304 and differs per query', async () => {
+  const first = await get('/metadata/1?select=alertId');
+  assert.deepEqual(JSON.parse(first.body), { alertId: 'alert-42' });
+
+  const revalidated = await get('/metadata/1?select=alertId', { 'If-None-Match': first.headers.etag });
+  assert.equal(revalidated.status, 304);
+
+  const other = await get('/metadata/1?select=frames', { 'If-None-Match': first.headers.etag });
+  assert.equal(other.status, 200);
+});
+
+test('status route reports cache usage', async () => {
+  const status = JSON.parse((await get('/status')).body);
+  assert.equal(status.metadataCache.maxEntries, 1);
+  assert.ok(status.metadataCache.hits > 0);
+  assert.ok(status.metadataCache.hitRate > 0 && status.metadataCache.hitRate <= 1);
+});
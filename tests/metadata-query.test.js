@@ -0,0 +1,91 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+const { createApp } = require('../server');
+const { queryMetadata, parseSelector, MetadataQueryError } = require('../server/metadata-query');
+const { createAssetsDir, startServer } = require('./helpers');
+
+const METADATA = {
+  alertId: 'alert-42',
+  inference_data: {
+    'a/b': { '~': 1 },
+    observations_data: {
+      laneCalibrationParams: [[960, 540], null, [200, 1700], 1080],
+      carBoxTrackerList: [[1000, [{ id: 1 }]], [1200, [{ id: 1 }]], [1400, [{ id: 2 }]]],
+    },
+    inward: {
+      detections: [{ timestamp: 1000 }, { timestamp: 1500 }],
+    },
+  },
+};
+
+let assetsDir;
+let server;
+
+before(async () => {
+  assetsDir = createAssetsDir({ 1: { 'metadata.json': JSON.stringify(METADATA) } });
+  server = await startServer(createApp({ assetsDir }));
+});
+
+after(async () => {
+  await server.close();
+  fs.rmSync(assetsDir, { recursive: true, force: true });
+});
+
+test('parseSelector accepts JSON pointers and dotted paths', () => {
+  assert.deepEqual(parseSelector('/inference_data/a~1b/~0'), ['inference_data', 'a/b', '~']);
+  assert.deepEqual(parseSelector('inference_data.observations_data'), ['inference_data', 'observations_data']);
+  assert.throws(() => parseSelector('a..b'), MetadataQueryError);
+});
+
+test('projection keeps the nesting around selected subtrees', () => {
+  const result = queryMetadata(METADATA, {
+    select: ['inference_data.observations_data.laneCalibrationParams', '/alertId', 'missing.path'],
+  });
+  assert.deepEqual(result, {
+    inference_data: { observations_data: { laneCalibrationParams: METADATA.inference_data.observations_data.laneCalibrationParams } },
+    alertId: 'alert-42',
+  });
+});
+
+test('nested selections inside a selected subtree do not modify the source', () => {
+  const result = queryMetadata(METADATA, {
+    select: 'inference_data.inward.detections.0,inference_data.inward',
+  });
+  assert.deepEqual(result, { inference_data: { inward: METADATA.inference_data.inward } });
+  assert.deepEqual(Object.keys(METADATA.inference_data.inward), ['detections']);
+});
+
+test('time window filters per-frame arrays only', () => {
+  const result = queryMetadata(METADATA, {
+    select: ['inference_data.observations_data', 'inference_data.inward.detections', 'inference_data.observations_data.carBoxTrackerList'],
+    from: '1100',
+    to: '1500',
+  });
+  assert.deepEqual(result.inference_data.observations_data, METADATA.inference_data.observations_data);
+
+  const windowed = queryMetadata(METADATA, {
+    select: ['inference_data.observations_data.carBoxTrackerList', 'inference_data.inward.detections', 'inference_data.observations_data.laneCalibrationParams'],
+    from: '1100',
+    to: '1500',
+  });
+  assert.deepEqual(windowed.inference_data.observations_data.carBoxTrackerList.map(frame => frame[0]), [1200, 1400]);
+  assert.deepEqual(windowed.inference_data.inward.detections, [{ timestamp: 1500 }]);
+  assert.deepEqual(windowed.inference_data.observations_data.laneCalibrationParams, METADATA.inference_data.observations_data.laneCalibrationParams);
+});
+
+test('route returns projections and rejects malformed queries', async () => {
+  const projected = await fetch(`${server.baseUrl}/metadata/1?select=alertId`);
+  assert.deepEqual(await projected.json(), { alertId: 'alert-42' });
+
+  const full = await fetch(`${server.baseUrl}/metadata/1`);
+  assert.deepEqual(await full.json(), METADATA);
+
+  const badBound = await fetch(`${server.baseUrl}/metadata/1?select=alertId&from=soon`);
+  assert.equal(badBound.status, 400);
+
+  const windowOnly = await fetch(`${server.baseUrl}/metadata/1?from=1000`);
+  assert.equal(windowOnly.status, 400);
+  assert.equal((await windowOnly.json()).error.code, 'INVALID_QUERY');
+});
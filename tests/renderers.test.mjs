@@ -0,0 +1,91 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Annotation, AnnotationManifest } from '../annotations/annotation-manifest.js';
+import { validateManifest } from '../annotations/manifest-schema.js';
+import { CrossRenderer } from '../annotations/renderers/cross-renderer.js';
+import { DetectionRenderer } from '../annotations/renderers/detection-renderer.js';
+import { DSFRenderer } from '../annotations/renderers/dsf-renderer.js';
+import { GraphRenderer } from '../annotations/renderers/graph-renderer.js';
+import { HelloRenderer } from '../annotations/renderers/hello-renderer.js';
+import { KeyframedRenderer } from '../annotations/renderers/keyframed-renderer.js';
+import { TextRenderer } from '../annotations/renderers/text-renderer.js';
+import { TrajectoryRenderer } from '../annotations/renderers/trajectory-renderer.js';
+
+// 2D context that accepts every property and records the methods called
+function stubContext(calls) {
+  const state = {};
+  return new Proxy(state, {
+    get(target, name) {
+      if (name in target) return target[name];
+      return (...args) => {
+        calls.push(name);
+        return name === 'measureText' ? { width: 10 * String(args[0]).length } : undefined;
+      };
+    },
+    set(target, name, value) {
+      target[name] = value;
+      return true;
+    },
+  });
+}
+
+function stubAnnotator(calls) {
+  const rect = () => ({ left: 0, top: 0, width: 960, height: 540 });
+  globalThis.document = {
+    createElement: () => ({ style: {}, getContext: () => stubContext(calls) }),
+  };
+  return {
+    options: { canvasZIndex: 10, opacity: 1 },
+    video: {
+      videoWidth: 1920,
+      videoHeight: 1080,
+      getBoundingClientRect: rect,
+      parentElement: { appendChild() {}, getBoundingClientRect: rect },
+    },
+  };
+}
+
+const box = { x: 0.1, y: 0.1, width: 0.2, height: 0.2 };
+
+// Extractor output carries no style
+const CASES = [
+  [CrossRenderer, new Annotation('cross', 0, 1000, {})],
+  [DSFRenderer, new Annotation('dsf', 0, 1000, { vanishing_triangle: [[[0.1, 1], [0.5, 0.5]], [[0.9, 1], [0.5, 0.5]]] })],
+  [DetectionRenderer, new Annotation('detection', 0, 1000, { bbox: box, confidence: 0.9, class: 'car' })],
+  [TextRenderer, new Annotation('text', 0, 1000, { text: 'Alert ID: A1', position: { x: 0.02, y: 0.02 } })],
+  [HelloRenderer, new Annotation('hello', 0, 1000, { message: 'hi' })],
+  [GraphRenderer, new Annotation('graph', 0, 1000, {
+    position: box,
+    series: [{ points: [{ timeMs: 0, value: 1 }, { timeMs: 1000, value: 2 }] }],
+  })],
+  [TrajectoryRenderer, new Annotation('trajectory', 0, 1000, {
+    points: [{ x: 0.1, y: 0.1, timeMs: 0 }, { x: 0.5, y: 0.5, timeMs: 1000 }],
+  })],
+  [KeyframedRenderer, new Annotation('keyframed', 0, 1000, { keyframes: [{ offsetMs: 0, bbox: box }] })],
+];
+
+for (const [Renderer, annotation] of CASES) {
+  test(`${Renderer.name} data passes the manifest schema`, () => {
+    const manifest = new AnnotationManifest('1.0', {}, { [annotation.category]: [annotation] });
+    assert.deepEqual(validateManifest(manifest.toJSON()), []);
+  });
+
+  test(`${Renderer.name} draws an annotation without style`, () => {
+    assert.equal(annotation.style, null);
+    const calls = [];
+    const renderer = new Renderer(stubAnnotator(calls));
+    renderer.setAnnotations([annotation]);
+    renderer.show();
+
+    const error = mock.method(console, 'error', () => {});
+    try {
+      renderer.renderAtTime(500);
+    } finally {
+      error.mock.restore();
+    }
+
+    assert.equal(error.mock.callCount(), 0, error.mock.calls[0]?.arguments.join(' '));
+    assert.ok(calls.some(name => name !== 'clearRect'), 'nothing was drawn');
+  });
+}
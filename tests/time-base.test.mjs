@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Annotation, AnnotationManifest } from '../annotations/annotation-manifest.js';
+import { alignToVideoTime } from '../annotations/time-base.js';
+
+const START = 1752673813000;
+
+const bbox = { x: 0.1, y: 0.1, width: 0.2, height: 0.2 };
+const boxes = () => [
+  new Annotation('detection', START + 347, 200, { bbox }, { id: 'a' }),
+  new Annotation('detection', START + 547, 200, { bbox }, { id: 'b' }),
+];
+
+test('epoch output is moved by the stream start, video output only by the offset', () => {
+  const epoch = boxes();
+  const video = [new Annotation('text', 1000, 500, { text: 'x' })];
+
+  const { streams } = alignToVideoTime([
+    { annotations: epoch, timeBase: 'epoch', stream: 'outward' },
+    { annotations: video, stream: 'outward' },
+  ], { outward: { videoStartEpochMs: START, offsetMs: 40 } });
+
+  assert.deepEqual(epoch.map(annotation => annotation.startTimeMs), [387, 587]);
+  assert.equal(video[0].startTimeMs, 1040);
+  assert.deepEqual(streams, { outward: { videoStartEpochMs: START, offsetMs: 40 } });
+});
+
+test('a missing video start is estimated from the earliest epoch annotation', () => {
+  const epoch = boxes();
+  const { streams } = alignToVideoTime([{ annotations: epoch, timeBase: 'epoch', stream: 'outward' }]);
+
+  assert.deepEqual(epoch.map(annotation => annotation.startTimeMs), [0, 200]);
+  assert.deepEqual(streams, { outward: { videoStartEpochMs: START + 347, offsetMs: 0, estimated: true } });
+});
+
+test('output without a stream uses the only configured stream', () => {
+  const epoch = boxes();
+  alignToVideoTime([{ annotations: epoch, timeBase: 'epoch' }], { outward: { videoStartEpochMs: START } });
+  assert.equal(epoch[0].startTimeMs, 347);
+
+  assert.throws(() => alignToVideoTime([{ annotations: [], timeBase: 'gps' }]), /Unknown time base 'gps'/);
+});
+
+test('toVideoTime converts an epoch manifest and leaves the original alone', () => {
+  const manifest = new AnnotationManifest('1.0', {
+    timeBase: 'epoch',
+    streams: { outward: { videoStartEpochMs: START, offsetMs: 0 } },
+  }, { detection: boxes() });
+
+  const converted = manifest.toVideoTime('outward');
+  assert.equal(converted.metadata.timeBase, 'video');
+  assert.deepEqual(converted.getActiveAt(400).map(annotation => annotation.id), ['a']);
+  assert.equal(manifest.getItem('a').startTimeMs, START + 347);
+  assert.equal(converted.validate(), true);
+
+  const video = new AnnotationManifest('1.0', {}, { detection: boxes() });
+  assert.equal(video.toVideoTime('outward'), video);
+});
+
+test('merge moves epoch inputs onto video time and keeps their stream timing', () => {
+  const outward = new AnnotationManifest('1.0', {
+    timeBase: 'epoch',
+    categoryStreams: { detection: 'outward' },
+    streams: { outward: { videoStartEpochMs: START, offsetMs: 0 } },
+  }, { detection: boxes() });
+  const inward = new AnnotationManifest('1.0', {
+    timeBase: 'epoch',
+    streams: { inward: { videoStartEpochMs: START + 500, offsetMs: 0 } },
+  }, { cross: [new Annotation('cross', START + 600, 100, {}, { id: 'gaze', stream: 'inward' })] });
+  const manual = new AnnotationManifest('1.0', { source: 'manual' }, {
+    cross: [new Annotation('cross', 250, 100, {}, { id: 'note' })],
+  });
+
+  const merged = AnnotationManifest.merge(outward, inward, manual);
+  assert.equal(merged.metadata.timeBase, 'video');
+  assert.deepEqual(merged.metadata.streams, {
+    outward: { videoStartEpochMs: START, offsetMs: 0 },
+    inward: { videoStartEpochMs: START + 500, offsetMs: 0 },
+  });
+  assert.deepEqual(['a', 'b', 'gaze', 'note'].map(id => merged.getItem(id).startTimeMs), [347, 547, 100, 250]);
+  // Already on video time, so toVideoTime leaves it alone
+  assert.equal(merged.toVideoTime(), merged);
+  assert.equal(outward.getItem('a').startTimeMs, START + 347);
+});
+
+test('trajectory and graph times inside data move with the annotation', () => {
+  const points = [{ x: 0.1, y: 0.1, timeMs: START + 100 }, { x: 0.5, y: 0.5, timeMs: START + 300 }];
+  const manifest = new AnnotationManifest('1.0', {
+    timeBase: 'epoch',
+    streams: { outward: { videoStartEpochMs: START, offsetMs: 0 } },
+  }, {
+    trajectory: [new Annotation('trajectory', START + 100, 200, { points }, { id: 'path' })],
+    graph: [new Annotation('graph', START, 500, {
+      position: bbox,
+      series: [{ points: [{ timeMs: START, value: 1 }, { timeMs: START + 500, value: 2 }] }],
+    }, { id: 'speed' })],
+    keyframed: [new Annotation('keyframed', START + 100, 200, { keyframes: [{ offsetMs: 0, bbox }, { offsetMs: 200, bbox }] }, { id: 'car' })],
+  });
+
+  const converted = manifest.toVideoTime('outward');
+  assert.deepEqual(converted.getItem('path').data.points.map(point => point.timeMs), [100, 300]);
+  assert.deepEqual(converted.getItem('speed').data.series[0].points.map(point => point.timeMs), [0, 500]);
+  // Keyframe offsets are relative to the annotation start
+  assert.deepEqual(converted.getItem('car').data.keyframes.map(keyframe => keyframe.offsetMs), [0, 200]);
+  // The original's data is not touched
+  assert.equal(manifest.getItem('path').data.points[0].timeMs, START + 100);
+  assert.equal(converted.validate(), true);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Annotation, AnnotationManifest } from '../annotations/annotation-manifest.js';
+import { MIN_TRACK_LENGTH, Track } from '../annotations/track.js';
+
+const box = x => ({ x, y: 0.5, width: 0.1, height: 0.1 });
+
+// A track seen in `frames` frames, 200 ms apart, from `startTimeMs`
+function trackAnnotation(trackId, startTimeMs, frames) {
+  const keyframes = Array.from({ length: frames }, (_, i) => ({
+    offsetMs: i * 200,
+    bbox: box(i * 0.1),
+    confidence: 0.5 + i * 0.1,
+  }));
+  return new Annotation('keyframed', startTimeMs, (frames - 1) * 200 + 200, { trackId, classId: 1, keyframes }, {
+    id: `track-${trackId}`,
+  });
+}
+
+const manifest = new AnnotationManifest('1.0', { categoryStreams: { keyframed: 'outward' } }, {
+  keyframed: [
+    trackAnnotation(227, 1000, 4),
+    trackAnnotation(251, 3000, 2),
+    // Keyframed geometry that is not a track
+    new Annotation('keyframed', 0, 100, { keyframes: [{ offsetMs: 0, point: { x: 0, y: 0 } }] }, { id: 'marker' }),
+  ],
+  text: [new Annotation('text', 0, 5000, { text: 'Alert ID: A1' })],
+});
+
+test('a track reads first/last seen, states and stats from its keyframes', () => {
+  const track = manifest.getTrack('track-227');
+  assert.equal(track.trackId, 227);
+  assert.equal(track.classId, 1);
+  assert.equal(track.stream, 'outward');
+  assert.equal(track.firstSeenMs, 1000);
+  assert.equal(track.lastSeenMs, 1600);
+  assert.deepEqual(track.states[1], { timeMs: 1200, bbox: box(0.1), confidence: 0.6 });
+
+  const { frames, durationMs, meanConfidence, maxConfidence } = track.stats;
+  assert.deepEqual([frames, durationMs], [4, 600]);
+  assert.ok(Math.abs(meanConfidence - 0.65) < 1e-9);
+  assert.ok(Math.abs(maxConfidence - 0.8) < 1e-9);
+
+  assert.equal(manifest.getTrack('marker'), null);
+  assert.throws(() => new Track(manifest.getItem('marker')), /'marker' is not a track/);
+});
+
+test('stateAt interpolates between frames and is null outside the track', () => {
+  const track = manifest.getTrack('track-227');
+  const state = track.stateAt(1100);
+  assert.equal(state.timeMs, 1100);
+  assert.ok(Math.abs(state.bbox.x - 0.05) < 1e-9);
+  assert.equal(track.stateAt(999), null);
+  assert.equal(track.stateAt(1700), null);
+});
+
+test('tracks active in a window and short track filtering', () => {
+  assert.deepEqual(manifest.getTracks().map(track => track.id), ['track-227', 'track-251']);
+  assert.deepEqual(manifest.getTracksInRange(1500, 2900).map(track => track.id), ['track-227']);
+  // The 200 ms after the last frame is still drawn but the object was not seen then
+  assert.deepEqual(manifest.getTracksInRange(1700, 1750), []);
+  assert.deepEqual(manifest.getTracksInRange(0, 10000).map(track => track.id), ['track-227', 'track-251']);
+
+  assert.equal(MIN_TRACK_LENGTH, 3);
+  const filtered = manifest.withoutShortTracks();
+  assert.deepEqual(filtered.getTracks().map(track => track.id), ['track-227']);
+  assert.deepEqual(filtered.getCountsByCategory(), { keyframed: 2, text: 1 });
+  assert.equal(manifest.withoutShortTracks(5).getTracks().length, 0);
+});
@@ -0,0 +1,161 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const { once } = require('events');
+
+const { createApp } = require('../server');
+const { parseRange } = require('../server/byte-range');
+const { createAssetsDir, startServer } = require('./helpers');
+
+// 1000 byte fixture whose byte at offset i is i % 256
+const FIXTURE = Buffer.from(Array.from({ length: 1000 }, (_, i) => i % 256));
+const VIDEO_URL = '/video/1/clip.mp4';
+
+let assetsDir;
+let server;
+
+before(async () => {
+  assetsDir = createAssetsDir({
+    1: { 'clip.mp4': FIXTURE },
+    // Large enough that a client that stops reading leaves a part unsent
+    2: { 'long.mp4': Buffer.alloc(8 * 1024 * 1024) },
+  });
+  server = await startServer(createApp({ assetsDir }));
+});
+
+after(async () => {
+  await server.close();
+  fs.rmSync(assetsDir, { recursive: true, force: true });
+});
+
+function request(headers = {}, method = 'GET') {
+  return fetch(server.baseUrl + VIDEO_URL, { method, headers });
+}
+
+async function body(response) {
+  return Buffer.from(await response.arrayBuffer());
+}
+
+test('parseRange handles open, suffix, invalid and unsatisfiable specs', () => {
+  assert.deepEqual(parseRange('bytes=0-99', 1000), [{ start: 0, end: 99 }]);
+  assert.deepEqual(parseRange('bytes=900-', 1000), [{ start: 900, end: 999 }]);
+  assert.deepEqual(parseRange('bytes=-500', 1000), [{ start: 500, end: 999 }]);
+  assert.deepEqual(parseRange('bytes=-5000', 1000), [{ start: 0, end: 999 }]);
+  assert.deepEqual(parseRange('bytes=990-2000', 1000), [{ start: 990, end: 999 }]);
+  assert.deepEqual(parseRange('bytes=0-10,5-20,21-30', 1000), [{ start: 0, end: 30 }]);
+  assert.equal(parseRange('bytes=1000-', 1000), -1);
+  assert.equal(parseRange('bytes=-0', 1000), -1);
+  assert.equal(parseRange('bytes=20-10', 1000), null);
+  assert.equal(parseRange('items=0-10', 1000), null);
+  assert.equal(parseRange(undefined, 1000), null);
+});
+
+test('full request returns 200 with validators', async () => {
+  const response = await request();
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('accept-ranges'), 'bytes');
+  assert.equal(response.headers.get('content-length'), '1000');
+  assert.ok(response.headers.get('etag'));
+  assert.ok(response.headers.get('last-modified'));
+  assert.deepEqual(await body(response), FIXTURE);
+});
+
+test('explicit range returns 206 with the requested bytes', async () => {
+  const response = await request({ Range: 'bytes=10-19' });
+  assert.equal(response.status, 206);
+  assert.equal(response.headers.get('content-range'), 'bytes 10-19/1000');
+  assert.equal(response.headers.get('content-length'), '10');
+  assert.deepEqual(await body(response), FIXTURE.subarray(10, 20));
+});
+
+test('suffix range returns the last bytes', async () => {
+  const response = await request({ Range: 'bytes=-500' });
+  assert.equal(response.status, 206);
+  assert.equal(response.headers.get('content-range'), 'bytes 500-999/1000');
+  assert.deepEqual(await body(response), FIXTURE.subarray(500));
+});
+
+test('range past the end of the file returns 416', async () => {
+  const response = await request({ Range: 'bytes=1000-1100' });
+  assert.equal(response.status, 416);
+  assert.equal(response.headers.get('content-range'), 'bytes */1000');
+  await body(response);
+});
+
+test('malformed range is ignored and the full file is sent', async () => {
+  const response = await request({ Range: 'bytes=50-10' });
+  assert.equal(response.status, 200);
+  assert.deepEqual(await body(response), FIXTURE);
+});
+
+test('multiple ranges return multipart/byteranges', async () => {
+  const response = await request({ Range: 'bytes=0-1,10-11' });
+  assert.equal(response.status, 206);
+  assert.match(response.headers.get('content-type'), /^multipart\/byteranges; boundary=/);
+
+  const text = (await body(response)).toString('latin1');
+  assert.equal(Number(response.headers.get('content-length')), Buffer.byteLength(text, 'latin1'));
+  assert.match(text, /Content-Range: bytes 0-1\/1000/);
+  assert.match(text, /Content-Range: bytes 10-11\/1000/);
+});
+
+test('aborting a multi-range request closes the file being read', async () => {
+  const createReadStream = mock.method(fs, 'createReadStream');
+  try {
+    const req = http.get(`${server.baseUrl}/video/2/long.mp4`, { headers: { Range: 'bytes=0-3145727,4194304-' } });
+    const [response] = await once(req, 'response');
+    assert.match(response.headers['content-type'], /^multipart\/byteranges/);
+    req.destroy();
+
+    const streams = createReadStream.mock.calls.map(call => call.result);
+    assert.ok(streams.length > 0);
+    for (let waited = 0; waited < 2000 && !streams.every(stream => stream.destroyed); waited += 20) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.ok(streams.every(stream => stream.destroyed));
+  } finally {
+    createReadStream.mock.restore();
+  }
+});
+
+test('HEAD returns headers without a body', async () => {
+  const response = await request({ Range: 'bytes=0-99' }, 'HEAD');
+  assert.equal(response.status, 206);
+  assert.equal(response.headers.get('content-length'), '100');
+  assert.equal((await body(response)).length, 0);
+});
+
+test('If-None-Match and If-Modified-Since return 304', async () => {
+  const first = await request();
+  await body(first);
+
+  const byEtag = await request({ 'If-None-Match': first.headers.get('etag') });
+  assert.equal(byEtag.status, 304);
+
+  const byDate = await request({ 'If-Modified-Since': first.headers.get('last-modified') });
+  assert.equal(byDate.status, 304);
+});
+
+test('If-Match mismatch returns 412', async () => {
+  const response = await request({ 'If-Match': '"stale"' });
+  assert.equal(response.status, 412);
+});
+
+test('If-Range honours the range only when the validator matches', async () => {
+  const first = await request();
+  await body(first);
+
+  const matching = await request({ Range: 'bytes=0-9', 'If-Range': first.headers.get('etag') });
+  assert.equal(matching.status, 206);
+  await body(matching);
+
+  const stale = await request({ Range: 'bytes=0-9', 'If-Range': '"stale"' });
+  assert.equal(stale.status, 200);
+  assert.equal((await body(stale)).length, 1000);
+});
+
+test('missing video returns 404', async () => {
+  const response = await fetch(server.baseUrl + '/video/1/missing.mp4');
+  assert.equal(response.status, 404);
+});